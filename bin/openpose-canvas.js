@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Headless OpenposeCanvas: batch conversion and ControlNet rendering of OpenPose JSON files.
+ *
+ * Usage:
+ *   openpose-canvas convert <input...> --to <FORMAT> [--out-dir <dir>] [--width <px> --height <px>]
+ *       [--coordinates <normalized|pixels>]
+ *   openpose-canvas render <input...> [--out-dir <dir>] [--width <px> --height <px>]
+ *   openpose-canvas validate <skeleton definition...>
+ *
+ * Inputs are JSON files or directories of JSON files.
+ */
+import { readFile, readdir, stat, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import {
+    SkeletonDataAccess, Pose, renderControlnetImage, loadControlnetConfigs, describeConversions
+} from '../js/core/index.js';
+import { createFileLoader } from '../js/core/node-loader.js';
+
+const DEFAULT_PAGE_SIZE = {width: 1024, height: 1024}; // Same as the editor's default page
+const DEFAULT_BACKGROUND_FORMAT = 'BODY18';
+
+const USAGE = `Usage:
+  openpose-canvas convert <input...> --to <FORMAT> [--out-dir <dir>] [--width <px> --height <px>]
+      [--coordinates <normalized|pixels>]
+  openpose-canvas render <input...> [--out-dir <dir>] [--width <px> --height <px>]
+  openpose-canvas validate <skeleton definition...>
+
+Commands:
+  convert   Convert OpenPose JSON files to another format
+            (BODY18, BODY18COMFYUI, BODY25, COCOWHOLEBODY, MEDIAPIPEPOSE, MEDIAPIPEHAND, AP10K).
+            Keypoints the target skeleton needs are estimated where possible (e.g. BODY18 -> BODY25)
+  render    Render OpenPose JSON files to ControlNet PNG images
+  validate  Check skeleton definition files (like data/*.json). Exits with 1 on errors
+
+Inputs are JSON files or directories containing JSON files.
+
+Options:
+  -t, --to <FORMAT>      Target format (convert)
+  -o, --out-dir <dir>    Output directory. Without it, outputs are written next to the inputs
+  -W, --width <px>       Page width (default: canvas size from the input, or ${DEFAULT_PAGE_SIZE.width})
+  -H, --height <px>      Page height (default: canvas size from the input, or ${DEFAULT_PAGE_SIZE.height})
+  -c, --coordinates <normalized|pixels>
+                         BODY18COMFYUI coordinates (convert; default: those of the input)
+  -s, --skeleton <file>  Register a custom skeleton definition (repeatable)
+  -h, --help             Show this help`;
+
+/**
+ * Page size from the command line, else from the input file, else the default page
+ * @param {Object|Object[]} json - Input JSON
+ * @param {Object} options - Parsed command line options
+ * @returns {{width: number, height: number}}
+ */
+function resolvePageSize(json, options) {
+    const canvas = Array.isArray(json) ? json[0] : json;
+    const canvasSize = {
+        width: canvas?.canvas_width || canvas?.image_width,
+        height: canvas?.canvas_height || canvas?.image_height
+    };
+    return resolveCanvasSize(options, canvasSize, DEFAULT_PAGE_SIZE);
+}
+
+/**
+ * Size of one canvas: from the command line if given, else its own size, else the fallback
+ * @param {Object} options - Parsed command line options
+ * @param {{width: number, height: number}|null} canvasSize - Size read from the input canvas
+ * @param {{width: number, height: number}} fallback
+ * @returns {{width: number, height: number}}
+ */
+function resolveCanvasSize(options, canvasSize, fallback) {
+    return {
+        width: Number(options.width) || canvasSize?.width || fallback.width,
+        height: Number(options.height) || canvasSize?.height || fallback.height
+    };
+}
+
+/**
+ * Expand files and directories into the list of JSON files to process
+ * @param {string[]} inputs
+ * @returns {Promise<string[]>}
+ */
+async function collectInputFiles(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if ((await stat(input)).isDirectory()) {
+            const entries = (await readdir(input)).filter(name => name.toLowerCase().endsWith('.json')).sort();
+            files.push(...entries.map(name => path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+    return files;
+}
+
+function outputPath(inputFile, outDir, suffix) {
+    const baseName = path.basename(inputFile, path.extname(inputFile));
+    if (outDir) {
+        return path.join(outDir, `${baseName}${suffix}`);
+    }
+    return path.join(path.dirname(inputFile), `${baseName}${suffix}`);
+}
+
+/**
+ * Convert one OpenPose JSON document
+ * @param {SkeletonDataAccess} dataAccess
+ * @param {Object|Object[]} json - Input JSON
+ * @param {string} format - Target format
+ * @param {{width: number, height: number}} pageSize - Size of canvases without one of their own
+ * @param {Object[]} [reports] - Receives the reports of persons converted to another skeleton
+ * @param {boolean|null} [normalized] - Normalized BODY18COMFYUI coordinates (default: as in the input)
+ * @param {Object} [options] - Parsed command line options; --width and --height override the
+ *     size of every canvas
+ * @returns {Promise<Object|Object[]>} Converted JSON
+ */
+async function convertPoseJson(dataAccess, json, format, pageSize, reports = [], normalized = null, options = {}) {
+    const skeletons = await dataAccess.loadOpenPoseJsonToSkeletonData(json, {pageSize});
+    let toJson = null;
+    let layerId = null;
+    for (const [i, skeletonData] of skeletons.entries()) {
+        // Keep multi-canvas ComfyUI files split per canvas
+        if (format === 'BODY18COMFYUI' && toJson !== null && skeletonData.layer_id !== layerId) {
+            toJson.push({people: [], canvas_width: 0, canvas_height: 0});
+        }
+        layerId = skeletonData.layer_id;
+        const pose = Pose.fromSkeletonData(skeletonData, `Person${i + 1}`);
+        // Each canvas keeps its own size (and normalizes against it), unless given on the command line
+        const canvasSize = resolveCanvasSize(options, skeletonData.canvasSize, pageSize);
+        toJson = await dataAccess.exportPersonAsOpenPoseJson(pose, format, toJson, canvasSize, {reports, normalized});
+    }
+    return toJson;
+}
+
+/**
+ * Render one OpenPose JSON document to PNG
+ * @param {SkeletonDataAccess} dataAccess
+ * @param {Object|Object[]} json - Input JSON
+ * @param {{width: number, height: number}} pageSize
+ * @returns {Promise<Buffer>} PNG data
+ */
+async function renderPoseJson(dataAccess, json, pageSize) {
+    let createCanvas;
+    try {
+        ({ createCanvas } = await import('canvas'));
+    } catch (error) {
+        throw new Error(`Rendering needs the "canvas" package (npm install): ${error.message}`);
+    }
+
+    const skeletons = await dataAccess.loadOpenPoseJsonToSkeletonData(json, {pageSize});
+    const configs = await loadControlnetConfigs(dataAccess, skeletons);
+    const background = (await dataAccess.loadControlnetConfig(DEFAULT_BACKGROUND_FORMAT)).background_color;
+
+    const canvas = createCanvas(pageSize.width, pageSize.height);
+    renderControlnetImage(canvas.getContext('2d'), skeletons, {...pageSize, configs, background});
+    return canvas.toBuffer('image/png');
+}
+
+/**
+ * Print the errors and warnings of skeleton definition files
+ * @param {string[]} files
+ * @returns {Promise<number>} Exit code: 1 if any file has errors
+ */
+async function validateSkeletonFiles(files) {
+    let failures = 0;
+    for (const file of files) {
+        let result;
+        try {
+            result = SkeletonDataAccess.validateSkeletonDefinition(JSON.parse(await readFile(file, 'utf8')));
+        } catch (error) {
+            result = {errors: [error.message], warnings: []};
+        }
+        const { errors, warnings } = result;
+        if (errors.length > 0) failures++;
+        console.log(`${file}: ${errors.length > 0 ? 'invalid' : 'ok'}`);
+        errors.forEach(message => console.log(`  error: ${message}`));
+        warnings.forEach(message => console.log(`  warning: ${message}`));
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            'to': {type: 'string', short: 't'},
+            'out-dir': {type: 'string', short: 'o'},
+            'width': {type: 'string', short: 'W'},
+            'height': {type: 'string', short: 'H'},
+            'coordinates': {type: 'string', short: 'c'},
+            'skeleton': {type: 'string', short: 's', multiple: true},
+            'help': {type: 'boolean', short: 'h'}
+        }
+    });
+    const [command, ...inputs] = positionals;
+
+    if (options.help || !command) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+    if (!['convert', 'render', 'validate'].includes(command)) {
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return 1;
+    }
+    if (command === 'convert' && !options.to) {
+        console.error('convert needs a target format (--to)');
+        return 1;
+    }
+    if (options.coordinates && !['normalized', 'pixels'].includes(options.coordinates)) {
+        console.error(`--coordinates must be "normalized" or "pixels", got "${options.coordinates}"`);
+        return 1;
+    }
+    if (inputs.length === 0) {
+        console.error('No input files given');
+        return 1;
+    }
+
+    if (command === 'validate') {
+        return validateSkeletonFiles(await collectInputFiles(inputs));
+    }
+
+    const dataAccess = new SkeletonDataAccess({loader: createFileLoader()});
+    for (const file of options.skeleton ?? []) {
+        dataAccess.registerSkeleton(JSON.parse(await readFile(file, 'utf8')));
+    }
+    const outDir = options['out-dir'];
+    if (outDir) {
+        await mkdir(outDir, {recursive: true});
+    }
+
+    let failures = 0;
+    for (const file of await collectInputFiles(inputs)) {
+        try {
+            const json = JSON.parse(await readFile(file, 'utf8'));
+            const pageSize = resolvePageSize(json, options);
+            if (command === 'convert') {
+                const format = options.to.toUpperCase();
+                const reports = [];
+                const normalized = options.coordinates ? options.coordinates === 'normalized' : null;
+                const result = await convertPoseJson(dataAccess, json, format, pageSize, reports, normalized, options);
+                const target = outputPath(file, outDir, outDir ? '.json' : `.${format.toLowerCase()}.json`);
+                await writeFile(target, JSON.stringify(result, null, 2));
+                console.log(`${file} -> ${target}`);
+                if (reports.length > 0) {
+                    console.log(describeConversions(reports).replace(/^/gm, '  '));
+                }
+            } else {
+                const target = outputPath(file, outDir, '.png');
+                await writeFile(target, await renderPoseJson(dataAccess, json, pageSize));
+                console.log(`${file} -> ${target}`);
+            }
+        } catch (error) {
+            failures++;
+            console.error(`${file}: ${error.message}`);
+        }
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -8,12 +8,17 @@ import { LayoutManager } from './layout.js';
 import { NodeEditManager } from './node-edit.js';
 import { FuzzyQueryManager } from './fuzzy-query.js';
 import { RevisionManager } from './revision_manager.js';
+import { ProjectManager } from './project.js';
+import { AutosaveManager } from './autosave.js';
+import { SkeletonRegistryManager } from './skeleton-registry.js';
+import { RenderManager } from './renderer.js';
 
 const DEV_MODE = false; // this is only for debugging purposes. Make sure it's false for deployed version
 
 class App {
     constructor() {
         this.canvasManager = new CanvasManager('openpose-canvas');
+        this.skeletonRegistryManager = new SkeletonRegistryManager(this.canvasManager);
         this.selectionTransformer = new SelectionTransformer(this.canvasManager);
         this.toolboxManager = new ToolboxManager(this.canvasManager);
         this.toolbarManager = new ToolbarManager(this.canvasManager);
@@ -22,11 +27,15 @@ class App {
         this.nodeEditManager = new NodeEditManager(this.canvasManager);
         this.queryManager = new FuzzyQueryManager(this.canvasManager);
         this.revisionManager = new RevisionManager(this.canvasManager);
+        this.projectManager = new ProjectManager(this.canvasManager);
+        this.autosaveManager = new AutosaveManager(this.canvasManager);
+        this.renderManager = new RenderManager(this.canvasManager);
         this.layoutManager = new LayoutManager();
         this.init();
     }
 
     init() {
+        this.skeletonRegistryManager.init(); // Custom skeletons must be known before autosave restores
         this.canvasManager.init();
         this.selectionTransformer.init();
         this.toolboxManager.init();
@@ -34,6 +43,7 @@ class App {
         this.statusBarManager.init();
         this.queryManager.init();
         this.revisionManager.init();
+        this.autosaveManager.init();
         // this.queryManager.toggle(true);
 
         // const poseLayer = this.canvasManager.getCurrentPoseLayer();
@@ -0,0 +1,184 @@
+const DB_NAME = 'openpose-canvas';
+const DB_VERSION = 1;
+const STORE_NAME = 'autosave';
+const SESSION_KEY = 'last-session';
+const AUTOSAVE_DELAY = 1000; // ms
+
+/**
+ * Continuously persists the scene into IndexedDB and offers to restore it on startup
+ */
+export class AutosaveManager {
+    /**
+     * @param {import("./canvas").CanvasManager} canvasManager
+     */
+    constructor(canvasManager, {delay = AUTOSAVE_DELAY} = {}) {
+        this.canvasManager = canvasManager;
+        this.canvasManager.setAutosaveManager(this);
+        this.delay = delay;
+        this.enabled = false; // Stays off until the restore prompt is answered
+        this.saveTimer = null;
+        this.savePromise = Promise.resolve();
+        this.dbPromise = null;
+    }
+
+    async init() {
+        if (!('indexedDB' in window)) {
+            console.warn('AutosaveManager: IndexedDB is not available, autosave disabled');
+            return;
+        }
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+
+        try {
+            const record = await this.readSession();
+            const drawableCount = record?.project?.layers
+                ?.reduce((count, layer) => count + (layer.drawables?.length ?? 0), 0) ?? 0;
+            if (drawableCount > 0) {
+                const restore = await this.showRestoreDialog(record.savedAt, drawableCount);
+                if (restore) {
+                    await this.canvasManager.projectManager.load(record.project);
+                } else {
+                    await this.clearSession();
+                }
+            }
+        } catch (error) {
+            console.error('AutosaveManager: failed to restore last session:', error);
+        }
+
+        this.enabled = true;
+        this.scheduleSave();
+    }
+
+    /**
+     * Save after a quiet delay; called by CanvasManager.notifySceneChange
+     */
+    scheduleSave() {
+        if (!this.enabled) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), this.delay);
+    }
+
+    /**
+     * Save right away (queued behind any save in progress)
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (!this.enabled) return this.savePromise;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.savePromise = this.savePromise
+            .then(() => this.saveSession())
+            .catch(error => console.error('AutosaveManager: autosave failed:', error));
+        return this.savePromise;
+    }
+
+    async saveSession() {
+        const project = await this.canvasManager.projectManager.serialize();
+        await this.runTransaction('readwrite', store => store.put({savedAt: Date.now(), project}, SESSION_KEY));
+    }
+
+    readSession() {
+        return this.runTransaction('readonly', store => store.get(SESSION_KEY));
+    }
+
+    clearSession() {
+        return this.runTransaction('readwrite', store => store.delete(SESSION_KEY));
+    }
+
+    // ====================
+    // INDEXEDDB HELPERS
+    // ====================
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                        request.result.createObjectStore(STORE_NAME);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} callback
+     * @returns {Promise<any>} Result of the request
+     */
+    async runTransaction(mode, callback) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = callback(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // ====================
+    // UI
+    // ====================
+
+    /**
+     * Ask whether the last session should be restored
+     * @param {number} savedAt - Timestamp of the saved session
+     * @param {number} drawableCount - Number of drawables in the saved session
+     * @returns {Promise<boolean>}
+     */
+    showRestoreDialog(savedAt, drawableCount) {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0,0,0,0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            `;
+
+            const dialog = document.createElement('div');
+            dialog.style.cssText = `
+                background: white;
+                padding: 20px;
+                border-radius: 8px;
+                box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+                max-width: 400px;
+            `;
+
+            const savedTime = new Date(savedAt).toLocaleString();
+            dialog.innerHTML = `
+                <h3 style="margin-top: 0; color: #333;">Restore Last Session</h3>
+                <p style="color: #666; margin-bottom: 20px;">An unsaved session from ${savedTime} (${drawableCount} object${drawableCount === 1 ? '' : 's'}) was found. Do you want to restore it?</p>
+                <div style="display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="discardBtn" style="padding: 8px 16px; border: 1px solid #ccc; background: white; border-radius: 4px; cursor: pointer;">Discard</button>
+                    <button id="restoreBtn" style="padding: 8px 16px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer;">Restore</button>
+                </div>
+            `;
+
+            modal.appendChild(dialog);
+            document.body.appendChild(modal);
+
+            dialog.querySelector('#discardBtn').onclick = () => {
+                document.body.removeChild(modal);
+                resolve(false);
+            };
+
+            dialog.querySelector('#restoreBtn').onclick = () => {
+                document.body.removeChild(modal);
+                resolve(true);
+            };
+        });
+    }
+}
@@ -1,12 +1,17 @@
 import {Point, Line} from './shapes.js';
-import {DistortableImage, Person, PoseLayer, Scene} from './entities.js';
+import {DistortableImage, Keypoint, Person, PoseLayer, Scene} from './entities.js';
 import { dataAccessManager } from './openpose-probe.js';
+import { getMirrorMap, getPosesCenter, getSpineAxis, mirrorPose, reflectAcross } from './core/symmetry.js';
+import { buildJointHierarchy, dragJoint, ikDragJoint } from './core/kinematics.js';
+import { applyFalloff, buildAdjacency, snapshotKeypoints } from './core/falloff.js';
 
 const MAX_ZOOM_SCALE = 10;
 const MIN_ZOOM_SCALE = 0.1;
 const ZOOM_PADDING = 50;
 const WORKSPACE_WIDTH = 4000;
 const WORKSPACE_HEIGHT = 4000;
+const DEFAULT_FALLOFF_RADIUS = 2; // Edges
+const MAX_FALLOFF_RADIUS = 20;
 
 export class CanvasManager {
     constructor(containerId) {
@@ -17,6 +22,10 @@ export class CanvasManager {
         this.nodeEditManager = null;
         this.selectionTransformer = null;
         this.revisionManager = null;
+        this.projectManager = null;
+        this.skeletonRegistryManager = null;
+        this.renderManager = null;
+        this.autosaveManager = null;
         this.stage = null;
         this.scene = new Scene();
         this.layers = [];
@@ -25,6 +34,17 @@ export class CanvasManager {
         this.transformLayer = null;
         this.formatId = 'BODY18';
         this.viewMode = 'normal'; // or 'WYSIWYG'
+        this.symmetricEditing = false; // Dragged keypoints move their counterparts mirrored
+        this.symmetryAxes = new Map(); // Person -> spine axis, fixed for the current drag
+        this.mirrorMaps = new Map(); // Skeleton format -> left/right counterpart names
+        this.fkEditing = false; // Dragged joints rotate rigidly with everything downstream
+        this.ikEditing = false; // Dragged joints pull their chain, keeping bone lengths
+        this.jointDrag = null; // {keypoint, position} of the joint dragged in FK or IK mode
+        this.jointHierarchies = new Map(); // Skeleton format -> joint hierarchy
+        this.proportionalEditing = false; // Dragged keypoints pull their graph neighbours along
+        this.falloffRadius = DEFAULT_FALLOFF_RADIUS; // Edge distance moved in proportional editing
+        this.falloffDrag = null; // {snapshots: Person -> keypoint snapshot, sources: Keypoint[]} of the current drag
+        this.adjacencies = new Map(); // Skeleton format -> neighbours of each keypoint
         
         this.stageScaleFactor = 1;
 
@@ -55,23 +75,65 @@ export class CanvasManager {
         this.revisionManager.onHistoryChange = () => this.updateUndoRedoButtons();
     }
 
+    setProjectManager(projectManager) {
+        this.projectManager = projectManager;
+    }
+
+    setSkeletonRegistryManager(skeletonRegistryManager) {
+        this.skeletonRegistryManager = skeletonRegistryManager;
+    }
+
+    setRenderManager(renderManager) {
+        this.renderManager = renderManager;
+    }
+
+    setAutosaveManager(autosaveManager) {
+        this.autosaveManager = autosaveManager;
+    }
+
+    /**
+     * Let the managers persisting the scene know that it changed. Called by the RevisionManager for
+     * tracked changes, and by the layer and page methods the revision history does not track.
+     */
+    notifySceneChange() {
+        if (this.autosaveManager) this.autosaveManager.scheduleSave();
+    }
+
     setSelectionTransformer(selectionTransformer) {
         this.selectionTransformer = selectionTransformer;
 
         // Set up interaction end callback for undo/redo
         this.selectionTransformer.onInteractionStart = () => {
+            this.symmetryAxes.clear();
+            if (this.symmetricEditing) {
+                this.getPersonsOfNodes().forEach(person => this.symmetryAxes.set(person, getSpineAxis(person)));
+            }
+            // FK and IK apply to a single dragged keypoint
+            const draggedNodes = this.selectionTransformer.getDraggableNodes();
+            const draggedEntity = draggedNodes.length === 1 ? draggedNodes[0].getAttr('entity') : null;
+            this.jointDrag = (this.fkEditing || this.ikEditing) && draggedEntity instanceof Keypoint
+                ? {keypoint: draggedEntity, position: draggedEntity.getPosition()} : null;
+            this.falloffDrag = this.proportionalEditing ? {
+                snapshots: new Map(this.getPersonsOfNodes(draggedNodes).map(person => [person, snapshotKeypoints(person)])),
+                sources: []
+            } : null;
             if (this.revisionManager) {
                 this.scene.lockStateChange();
             }
         };
 
         this.selectionTransformer.onInteractionEnd = () => {
+            this.symmetryAxes.clear();
+            this.jointDrag = null;
+            this.falloffDrag = null;
             if (this.revisionManager) {
                 this.scene.unlockStateChange();
                 this.scene.changeState(true);
             }
         };
 
+        this.selectionTransformer.onNodesDragged = (nodes) => this.handleDraggedNodes(nodes);
+
         // Set up selection change callback
         this.selectionTransformer.onSelectionChange = (selectedNodes) => {
             //// Auto-switch layer when a single shape is selected
@@ -206,6 +268,7 @@ export class CanvasManager {
             }
             layer.visible(visible);
             this.stage.draw();
+            this.notifySceneChange();
         }
     }
 
@@ -231,6 +294,7 @@ export class CanvasManager {
             layer.listening(!lock);
             layer.setAttr('locked', lock);
             this.stage.draw();
+            this.notifySceneChange();
         }
     }
 
@@ -252,6 +316,263 @@ export class CanvasManager {
             node.visible(visible);
         });
         this.stage.draw();
+        this.notifySceneChange();
+    }
+
+    /**
+     * Persons that given nodes belong to
+     * @param {Array|null} nodes Nodes (null = use selected nodes)
+     * @returns {Person[]}
+     */
+    getPersonsOfNodes(nodes=null) {
+        if (nodes === null) {
+            nodes = this.selectionTransformer?.selectedNodes ?? [];
+        }
+        const persons = new Set();
+        nodes.forEach(node => {
+            const entity = node.getAttr('entity');
+            const drawable = entity ? this.scene.getDrawableFromKeypoint(entity) : null;
+            if (drawable instanceof Person) {
+                persons.add(drawable);
+            }
+        });
+        return [...persons];
+    }
+
+    /**
+     * Mirror the persons of given nodes about the center of their bounding box, swapping
+     * left and right keypoints so they stay anatomically labelled
+     * @param {Array|null} nodes Nodes whose persons are flipped (null = use selected nodes)
+     * @param {'horizontal'|'vertical'} axis Flip direction
+     */
+    flipNodes(nodes=null, axis='horizontal') {
+        const persons = this.getPersonsOfNodes(nodes);
+        if (persons.length === 0) return;
+
+        const center = getPosesCenter(persons);
+        this.scene.overStateChange(() => {
+            persons.forEach(person => mirrorPose(person, axis, center));
+        });
+        this.selectionTransformer?.updateSelection();
+        this.stage.draw();
+    }
+
+    /**
+     * Turn symmetric editing on or off
+     * @param {boolean|null} enabled Symmetric editing status (null = toggle)
+     */
+    toggleSymmetricEditing(enabled=null) {
+        this.symmetricEditing = enabled ?? !this.symmetricEditing;
+        this.symmetryAxes.clear();
+    }
+
+    /**
+     * Turn forward-kinematics editing on or off. FK and IK editing exclude each other.
+     * @param {boolean|null} enabled FK editing status (null = toggle)
+     */
+    toggleFkEditing(enabled=null) {
+        this.fkEditing = enabled ?? !this.fkEditing;
+        if (this.fkEditing) this.ikEditing = false;
+        this.jointDrag = null;
+    }
+
+    /**
+     * Turn inverse-kinematics editing on or off. FK and IK editing exclude each other.
+     * @param {boolean|null} enabled IK editing status (null = toggle)
+     */
+    toggleIkEditing(enabled=null) {
+        this.ikEditing = enabled ?? !this.ikEditing;
+        if (this.ikEditing) this.fkEditing = false;
+        this.jointDrag = null;
+    }
+
+    /**
+     * Turn proportional editing on or off
+     * @param {boolean|null} enabled Proportional editing status (null = toggle)
+     */
+    toggleProportionalEditing(enabled=null) {
+        this.proportionalEditing = enabled ?? !this.proportionalEditing;
+        this.falloffDrag = null;
+        this.updateFalloffInfo();
+    }
+
+    /**
+     * Change the falloff radius of proportional editing, re-applying it to the current drag
+     * @param {number} radius Edge distance, clamped to 1..MAX_FALLOFF_RADIUS
+     */
+    setFalloffRadius(radius) {
+        this.falloffRadius = Math.max(1, Math.min(MAX_FALLOFF_RADIUS, Math.round(radius)));
+        this.updateFalloffInfo();
+        if (this.falloffDrag && this.falloffDrag.sources.length > 0) {
+            this.applyFalloffToNeighbors(this.falloffDrag.sources);
+            this.stage.batchDraw();
+        }
+    }
+
+    updateFalloffInfo() {
+        const falloffSection = document.getElementById('falloff-section');
+        const falloffElement = document.getElementById('falloff-radius');
+        if (!falloffSection || !falloffElement) return;
+
+        falloffSection.style.display = this.proportionalEditing ? '' : 'none';
+        falloffElement.textContent = `Falloff ${this.falloffRadius}`;
+    }
+
+    /**
+     * Apply the editing modes to the keypoints of dragged nodes
+     * @param {Array} nodes Dragged nodes
+     */
+    handleDraggedNodes(nodes) {
+        let keypoints = nodes.map(node => node.getAttr('entity')).filter(entity => entity instanceof Keypoint);
+        if (this.jointDrag && keypoints.length === 1 && keypoints[0] === this.jointDrag.keypoint) {
+            keypoints = this.ikEditing
+                ? this.pullDraggedJoint(this.jointDrag.keypoint)
+                : this.rotateDraggedJoint(this.jointDrag.keypoint);
+        }
+        // Mirrored counterparts pull their own neighbours, so falloff never undoes the mirroring
+        const mirrored = this.mirrorKeypoints(keypoints);
+        if (this.falloffDrag) {
+            this.falloffDrag.sources = [...keypoints, ...mirrored];
+            this.applyFalloffToNeighbors(this.falloffDrag.sources);
+        }
+    }
+
+    /**
+     * Joint hierarchy of a person's skeleton, from its bones and rooted at the Neck
+     * @param {Person} person
+     * @returns {{parents: Object, children: Object}}
+     */
+    getJointHierarchy(person) {
+        if (!this.jointHierarchies.has(person.format)) {
+            this.jointHierarchies.set(person.format, buildJointHierarchy(Object.keys(person.keypointsDict), this.getSkeletonEdges(person)));
+        }
+        return this.jointHierarchies.get(person.format);
+    }
+
+    /**
+     * Bones of a person's skeleton
+     * @param {Person} person
+     * @returns {Array<[string, string]>} [start, end] keypoint names
+     */
+    getSkeletonEdges(person) {
+        return person.limbs.flatMap(limb => limb.children
+            .filter(bone => bone.start && bone.end)
+            .map(bone => [bone.start.name, bone.end.name]));
+    }
+
+    /**
+     * Neighbours of each keypoint of a person's skeleton, from its bones
+     * @param {Person} person
+     * @returns {Object<string, string[]>}
+     */
+    getAdjacency(person) {
+        if (!this.adjacencies.has(person.format)) {
+            this.adjacencies.set(person.format, buildAdjacency(Object.keys(person.keypointsDict), this.getSkeletonEdges(person)));
+        }
+        return this.adjacencies.get(person.format);
+    }
+
+    /**
+     * Whether a keypoint of a person is locked (see toggleNodesLock): editing modes leave it in place
+     * @param {Person} person
+     * @param {string} name Keypoint name
+     * @returns {boolean}
+     */
+    isKeypointLocked(person, name) {
+        return !!person.keypointsDict[name]?.shape?.getAttr('locked');
+    }
+
+    /**
+     * In proportional editing, move the graph neighbours of moved keypoints (face contour, finger
+     * joints...) along with them, weighted by their edge distance up to the falloff radius.
+     * Neighbours are placed from where they were when the drag started; locked keypoints stay.
+     * @param {Keypoint[]} keypoints Moved keypoints
+     * @returns {Keypoint[]} Neighbours whose position changed
+     */
+    applyFalloffToNeighbors(keypoints) {
+        const sourcesByPerson = new Map();
+        for (const kp of keypoints) {
+            const person = this.scene.getDrawableFromKeypoint(kp);
+            if (!this.falloffDrag.snapshots.has(person)) continue;
+            if (!sourcesByPerson.has(person)) sourcesByPerson.set(person, []);
+            sourcesByPerson.get(person).push(kp.name);
+        }
+
+        const moved = [];
+        for (const [person, sources] of sourcesByPerson) {
+            const isFixed = name => this.isKeypointLocked(person, name);
+            const names = applyFalloff(person, this.getAdjacency(person), this.falloffDrag.snapshots.get(person),
+                sources, this.falloffRadius, {isFixed});
+            moved.push(...names.map(name => person.keypointsDict[name]));
+        }
+        return moved;
+    }
+
+    /**
+     * In FK editing, turn the drag of a joint into a rigid rotation of the joint and everything
+     * downstream of it (forearm, wrist, hand...) about its parent joint. Locked keypoints stay.
+     * @param {Keypoint} keypoint Dragged joint, already at the pointer position
+     * @returns {Keypoint[]} Moved keypoints
+     */
+    rotateDraggedJoint(keypoint) {
+        const person = this.scene.getDrawableFromKeypoint(keypoint);
+        if (!(person instanceof Person)) return [keypoint];
+
+        const isFixed = name => this.isKeypointLocked(person, name);
+        const moved = dragJoint(person, this.getJointHierarchy(person), keypoint.name,
+            this.jointDrag.position, keypoint.getPosition(), {isFixed});
+        this.jointDrag.position = keypoint.getPosition();
+        return moved.map(name => person.keypointsDict[name]);
+    }
+
+    /**
+     * In IK editing, turn the drag of an end effector (wrist, ankle...) into a FABRIK solve of its
+     * chain: the joints up to the nearest locked ancestor, or two bones up, follow so that bone
+     * lengths stay constant. Locked keypoints are the fixed anchors, and never move.
+     * @param {Keypoint} keypoint Dragged joint, already at the pointer position
+     * @returns {Keypoint[]} Moved keypoints
+     */
+    pullDraggedJoint(keypoint) {
+        const person = this.scene.getDrawableFromKeypoint(keypoint);
+        if (!(person instanceof Person)) return [keypoint];
+
+        const isPinned = name => this.isKeypointLocked(person, name);
+        const moved = ikDragJoint(person, this.getJointHierarchy(person), keypoint.name,
+            this.jointDrag.position, keypoint.getPosition(), {isPinned});
+        this.jointDrag.position = keypoint.getPosition();
+        return moved.map(name => person.keypointsDict[name]);
+    }
+
+    /**
+     * In symmetric editing, move the counterparts of dragged keypoints (LShoulder for RShoulder...)
+     * to their mirror image across the spine of their person. Counterparts that are dragged too,
+     * locked or not placed are left alone.
+     * @param {Keypoint[]} keypoints Dragged keypoints
+     * @returns {Keypoint[]} Moved counterparts
+     */
+    mirrorKeypoints(keypoints) {
+        if (!this.symmetricEditing) return [];
+        const dragged = new Set(keypoints);
+        const mirrored = [];
+
+        for (const kp of dragged) {
+            const person = this.scene.getDrawableFromKeypoint(kp);
+            if (!(person instanceof Person)) continue;
+            if (!this.mirrorMaps.has(person.format)) {
+                this.mirrorMaps.set(person.format, getMirrorMap(Object.keys(person.keypointsDict)));
+            }
+            const counterpart = person.keypointsDict[this.mirrorMaps.get(person.format)[kp.name]];
+            if (!counterpart || dragged.has(counterpart) || !counterpart.getPosition()) continue;
+            if (counterpart.shape?.getAttr('locked')) continue;
+
+            // The spine may be dragged too: mirror across where it was when the drag started
+            if (!this.symmetryAxes.has(person)) {
+                this.symmetryAxes.set(person, getSpineAxis(person));
+            }
+            counterpart.setPosition(reflectAcross(kp.getPosition(), this.symmetryAxes.get(person)));
+            mirrored.push(counterpart);
+        }
+        return mirrored;
     }
 
     /**
@@ -281,11 +602,13 @@ export class CanvasManager {
             node.setAttr('locked', lock);
         });
         this.stage.draw();
+        this.notifySceneChange();
     }
 
     renameLayer(index, newName) {
         if (index >= 0 && index < this.layers.length) {
             this.layers[index].name(newName);
+            this.notifySceneChange();
         }
     }
 
@@ -309,6 +632,7 @@ export class CanvasManager {
         this.currentLayerIndex = toIndex;
         this.stage.draw();
         this.updateUndoRedoButtons();
+        this.notifySceneChange();
     }
 
     getCurrentLayer() {
@@ -547,6 +871,7 @@ export class CanvasManager {
         
         // Update toolbar inputs
         this.updatePageInputs();
+        this.notifySceneChange();
     }
 
     /**
@@ -793,6 +1118,12 @@ export class CanvasManager {
 
         container.addEventListener('wheel', (e) => {
             e.preventDefault();
+
+            // While dragging in proportional editing, the wheel adjusts the falloff radius
+            if (this.falloffDrag) {
+                this.setFalloffRadius(this.falloffRadius + (e.deltaY > 0 ? -1 : 1));
+                return;
+            }
             
             const stage = this.stage;
             const oldScale = stage.scaleX();
@@ -847,18 +1178,26 @@ export class CanvasManager {
         const cnetConfig = await dataAccessManager.loadControlnetConfig(this.formatId);
         this.scene.lockStateChange();
         this.pageLayer.findOne('.page-bg')?.fill(enabled ? cnetConfig.background_color : 'white');
+        // Each skeleton format comes with its own ControlNet colors
+        const cnetConfigs = new Map([[this.formatId, cnetConfig]]);
         
         for (const drawable of this.scene.drawables) {
             if (drawable instanceof DistortableImage) {
                 drawable.setVisible(!enabled);
                 continue;
             }
+            const format = drawable.format ?? this.formatId;
+            if (enabled && !cnetConfigs.has(format)) {
+                cnetConfigs.set(format, await dataAccessManager.loadControlnetConfig(format));
+            }
+            const cnetConfig = cnetConfigs.get(format);
             for (const limb of drawable.limbs) {
                 limb.getAllKeypoints().forEach(kp => {
                     if (!kp.shape) return;
                     if (enabled) {
                         const color = cnetConfig.keypoint_colors[kp.name];
                         if (color) kp.shape.fill(color);
+                        kp.shape.opacity(1);
                         kp.shape.radius(cnetConfig.keypoint_radius);
                         kp.shape.baseRadius = cnetConfig.keypoint_radius;
                         kp.shape.strokeWidth(cnetConfig.keypoint_strokewidth);
@@ -867,7 +1206,7 @@ export class CanvasManager {
                         kp.shape.fill(kp.getFillColor());
                         kp.shape.radius(kp._radius);
                         kp.shape.baseRadius = kp._radius;
-                        kp.shape.opacity(kp.getAlpha());
+                        kp.shape.opacity(kp.getDisplayOpacity());
                         kp.shape.strokeWidth(kp.getStrokeWidth());
                         kp.shape.baseStrokeWidth = kp.getStrokeWidth();
                     }
@@ -0,0 +1,87 @@
+/**
+ * ControlNet image rendering on a plain Canvas 2D context.
+ * Draws skeletons the way WYSIWYG mode shows them (colors, radii and widths from the
+ * `controlnet` section of the skeleton definition), so it works with both a browser
+ * canvas and node-canvas.
+ */
+
+/**
+ * Used when a keypoint or bone has no color in the ControlNet config
+ */
+const FALLBACK_COLOR = '#FFFFFF';
+
+/**
+ * Render skeletons into a ControlNet image
+ * @param {CanvasRenderingContext2D} ctx - Target 2D context
+ * @param {Object[]} skeletons - Skeleton data objects (positions, names, edges, format)
+ * @param {Object} options
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Image height
+ * @param {Map<string, Object>} options.configs - ControlNet config per skeleton format
+ * @param {string|null} [options.background] - Background color, null keeps the canvas transparent
+ */
+export function renderControlnetImage(ctx, skeletons, {width, height, configs, background=null}) {
+    ctx.clearRect(0, 0, width, height);
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    const getPosition = (skeletonData, index) => {
+        const x = skeletonData.positions[index * 2];
+        const y = skeletonData.positions[index * 2 + 1];
+        return (x === null || x === undefined || y === null || y === undefined) ? null : {x, y};
+    };
+    const isVisible = (skeletonData, name) => !skeletonData.hiddenKeypoints?.includes(name);
+
+    // Like the pose layers, all bones go below all keypoints
+    for (const skeletonData of skeletons) {
+        const config = configs.get(skeletonData.format);
+        ctx.lineWidth = config.bone_strokewidth;
+        for (let i = 0; i < skeletonData.edges.length; i += 2) {
+            const start = getPosition(skeletonData, skeletonData.edges[i]);
+            const end = getPosition(skeletonData, skeletonData.edges[i + 1]);
+            if (!start || !end) continue;
+            const name = `${skeletonData.names[skeletonData.edges[i]]}To${skeletonData.names[skeletonData.edges[i + 1]]}`;
+            ctx.strokeStyle = config.bone_colors[name] || FALLBACK_COLOR;
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+        }
+    }
+
+    for (const skeletonData of skeletons) {
+        const config = configs.get(skeletonData.format);
+        skeletonData.names.forEach((name, i) => {
+            const pos = getPosition(skeletonData, i);
+            if (!pos || !isVisible(skeletonData, name)) return;
+            const color = config.keypoint_colors[name] || FALLBACK_COLOR;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, config.keypoint_radius, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+            if (config.keypoint_strokewidth > 0) {
+                ctx.lineWidth = config.keypoint_strokewidth;
+                ctx.strokeStyle = color;
+                ctx.stroke();
+            }
+        });
+    }
+}
+
+/**
+ * Load the ControlNet config of every format used by the skeletons
+ * @param {import("./skeleton-data").SkeletonDataAccess} dataAccess
+ * @param {Object[]} skeletons - Skeleton data objects
+ * @returns {Promise<Map<string, Object>>} ControlNet config per format
+ */
+export async function loadControlnetConfigs(dataAccess, skeletons) {
+    const configs = new Map();
+    for (const {format} of skeletons) {
+        if (!configs.has(format)) {
+            configs.set(format, await dataAccess.loadControlnetConfig(format));
+        }
+    }
+    return configs;
+}
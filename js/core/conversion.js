@@ -0,0 +1,161 @@
+/**
+ * Conversion of poses between skeleton formats (BODY18 ⇄ BODY25, COCO-WholeBody...).
+ * Keypoints are matched by vertex name; target keypoints the source does not have are
+ * estimated from their neighbours where a rule exists, and source keypoints the target
+ * does not have are dropped.
+ */
+import { Pose, PoseKeypoint } from './pose.js';
+
+/**
+ * Foot keypoint offsets from the ankle, as fractions of the shin length:
+ * [along the knee→ankle direction, sideways away from the body]
+ */
+const FOOT_OFFSETS = {
+    Heel: [0.08, 0],
+    BigToe: [0.22, -0.06],
+    SmallToe: [0.2, 0.08]
+};
+
+function midpoint(nameA, nameB) {
+    return (get) => {
+        const a = get(nameA);
+        const b = get(nameB);
+        return a && b ? {x: (a.x + b.x) / 2, y: (a.y + b.y) / 2} : null;
+    };
+}
+
+/**
+ * Foot keypoint placed below the ankle along the shin, toes spread sideways
+ * @param {string} side - 'L' or 'R'
+ * @param {string} point - 'Heel', 'BigToe' or 'SmallToe'
+ */
+function footPoint(side, point) {
+    const otherSide = side === 'L' ? 'R' : 'L';
+    return (get) => {
+        const knee = get(`${side}Knee`);
+        const ankle = get(`${side}Ankle`);
+        if (!knee || !ankle) return null;
+        const length = Math.hypot(ankle.x - knee.x, ankle.y - knee.y);
+        if (length === 0) return null;
+
+        const down = {x: (ankle.x - knee.x) / length, y: (ankle.y - knee.y) / length};
+        let outward = {x: -down.y, y: down.x};
+        // Point away from the other hip, so toes spread the same way on both feet
+        const hip = get(`${side}Hip`);
+        const otherHip = get(`${otherSide}Hip`);
+        if (hip && otherHip && outward.x * (hip.x - otherHip.x) + outward.y * (hip.y - otherHip.y) < 0) {
+            outward = {x: -outward.x, y: -outward.y};
+        }
+
+        const [along, across] = FOOT_OFFSETS[point];
+        return {
+            x: ankle.x + length * (along * down.x + across * outward.x),
+            y: ankle.y + length * (along * down.y + across * outward.y)
+        };
+    };
+}
+
+/**
+ * Rules estimating a keypoint from others, in dependency order
+ * @type {Object<string, (get: (name: string) => {x: number, y: number}|null) => {x: number, y: number}|null>}
+ */
+export const KEYPOINT_ESTIMATORS = {
+    Neck: midpoint('RShoulder', 'LShoulder'),
+    MidHip: midpoint('RHip', 'LHip'),
+    ...Object.fromEntries(['L', 'R'].flatMap(side =>
+        Object.keys(FOOT_OFFSETS).map(point => [`${side}${point}`, footPoint(side, point)])
+    ))
+};
+
+/**
+ * Convert a pose to another skeleton
+ * Visibility and confidence are kept for copied keypoints; estimated keypoints are visible,
+ * without confidence.
+ * @param {Object} pose - Person entity or core Pose
+ * @param {Object} targetSkeletonData - Skeleton data of the target format
+ * @returns {{pose: Pose, report: Object}} Converted pose, and a report
+ *     {from, to, estimated: string[], dropped: string[], missing: string[]}, where dropped are
+ *     placed source keypoints with no target vertex and missing are target keypoints that could not be placed
+ */
+export function convertPose(pose, targetSkeletonData) {
+    const report = {from: pose.format, to: targetSkeletonData.format, estimated: [], dropped: [], missing: []};
+    const positions = {};
+    const get = (name) => positions[name] ?? pose.keypointsDict[name]?.getPosition() ?? null;
+
+    const keypoints = targetSkeletonData.names.map(name => {
+        const source = pose.keypointsDict[name];
+        if (source) {
+            return new PoseKeypoint(name, source.getPosition(), source.getVisible(), source.getConfidence?.() ?? null);
+        }
+        return new PoseKeypoint(name, null);
+    });
+
+    for (const [name, estimate] of Object.entries(KEYPOINT_ESTIMATORS)) {
+        const kp = keypoints.find(kp => kp.name === name);
+        if (!kp || pose.keypointsDict[name]?.getPosition()) continue;
+        const pos = estimate(get);
+        if (pos) {
+            positions[name] = pos;
+            kp.setPosition(pos);
+            report.estimated.push(name);
+        }
+    }
+
+    report.missing = keypoints
+        .filter(kp => !pose.keypointsDict[kp.name] && !kp.getPosition())
+        .map(kp => kp.name);
+    report.dropped = Object.keys(pose.keypointsDict)
+        .filter(name => !targetSkeletonData.names.includes(name) && pose.keypointsDict[name].getPosition());
+
+    const converted = new Pose(pose.name, targetSkeletonData.format, keypoints);
+    converted.sourceData = pose.sourceData ?? null;
+    return {pose: converted, report};
+}
+
+/**
+ * Convert imported skeleton data to another skeleton
+ * @param {Object} skeletonData - Skeleton data with positions
+ * @param {Object} targetSkeletonData - Skeleton data of the target format
+ * @returns {{skeletonData: Object, report: Object}} See convertPose for the report
+ */
+export function convertSkeletonData(skeletonData, targetSkeletonData) {
+    const { pose, report } = convertPose(Pose.fromSkeletonData(skeletonData), targetSkeletonData);
+    const { layer_id, canvasSize, sourceData } = skeletonData;
+    return {
+        skeletonData: {...pose.toSkeletonData(targetSkeletonData), layer_id, canvasSize, sourceData},
+        report
+    };
+}
+
+/**
+ * Whether a conversion changed anything beyond renaming the format
+ * @param {Object} report
+ * @returns {boolean}
+ */
+export function isLossyConversion(report) {
+    return report.estimated.length > 0 || report.dropped.length > 0 || report.missing.length > 0;
+}
+
+/**
+ * One-line summary of conversion reports, merging those between the same formats
+ * @param {Object[]} reports
+ * @returns {string}
+ */
+export function describeConversions(reports) {
+    const groups = new Map();
+    for (const report of reports) {
+        const key = `${report.from} → ${report.to}`;
+        if (!groups.has(key)) groups.set(key, {count: 0, estimated: new Set(), dropped: new Set(), missing: new Set()});
+        const group = groups.get(key);
+        group.count++;
+        ['estimated', 'dropped', 'missing'].forEach(field => report[field].forEach(name => group[field].add(name)));
+    }
+
+    return [...groups.entries()].map(([key, group]) => {
+        const parts = [];
+        if (group.estimated.size > 0) parts.push(`estimated ${[...group.estimated].join(', ')}`);
+        if (group.dropped.size > 0) parts.push(`dropped ${[...group.dropped].join(', ')}`);
+        if (group.missing.size > 0) parts.push(`${group.missing.size} keypoint(s) not available`);
+        return `${key} (${group.count} person(s)): ${parts.join('; ') || 'no changes'}`;
+    }).join('\n');
+}
@@ -0,0 +1,110 @@
+/**
+ * Proportional (falloff) editing on the skeleton graph: keypoints near moved ones, in number of
+ * edges, follow them with a weight decaying with that distance. Smooths edits of dense meshes such
+ * as the face contour and the hands.
+ * Like transforms.js, works on anything exposing a `keypointsDict` (core Pose or editor Person).
+ */
+
+/**
+ * Neighbours of each vertex of a skeleton
+ * @param {string[]} names - Vertex names
+ * @param {Array<[string, string]>} edges - Bones as [start, end] vertex names
+ * @returns {Object<string, string[]>}
+ */
+export function buildAdjacency(names, edges) {
+    const adjacency = Object.fromEntries(names.map(name => [name, []]));
+    for (const [start, end] of edges) {
+        if (!adjacency[start] || !adjacency[end] || start === end) continue;
+        if (!adjacency[start].includes(end)) adjacency[start].push(end);
+        if (!adjacency[end].includes(start)) adjacency[end].push(start);
+    }
+    return adjacency;
+}
+
+/**
+ * Edge distance of the vertices near a set of sources, with the source each one is nearest to
+ * @param {Object<string, string[]>} adjacency - From buildAdjacency
+ * @param {string[]} sources - Source vertex names
+ * @param {number} maxDistance - Vertices farther than this are left out
+ * @returns {Map<string, {distance: number, source: string}>} Including the sources, at distance 0
+ */
+export function getGraphDistances(adjacency, sources, maxDistance) {
+    const distances = new Map(sources.map(name => [name, {distance: 0, source: name}]));
+    const queue = [...sources];
+    while (queue.length > 0) {
+        const name = queue.shift();
+        const { distance, source } = distances.get(name);
+        if (distance >= maxDistance) continue;
+        for (const neighbor of adjacency[name] ?? []) {
+            if (distances.has(neighbor)) continue;
+            distances.set(neighbor, {distance: distance + 1, source});
+            queue.push(neighbor);
+        }
+    }
+    return distances;
+}
+
+/**
+ * Smooth falloff weight: 1 at the source, decreasing to 0 just past the radius
+ * @param {number} distance - Edge distance to the source
+ * @param {number} radius - Farthest edge distance still moved
+ * @returns {number}
+ */
+export function falloffWeight(distance, radius) {
+    if (distance > radius) return 0;
+    const t = 1 - distance / (radius + 1);
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Positions and confidences of the keypoints of a pose, to apply falloff from during a drag
+ * @param {{keypointsDict: Object}} pose - Pose or Person
+ * @returns {Object<string, {position: {x: number, y: number}|null, confidence: number|null}>}
+ */
+export function snapshotKeypoints(pose) {
+    return Object.fromEntries(Object.entries(pose.keypointsDict).map(([name, kp]) => [name, {
+        position: kp.getPosition(),
+        confidence: kp.getConfidence?.() ?? null
+    }]));
+}
+
+/**
+ * Move the neighbours of moved keypoints by the movement of their nearest moved keypoint since the
+ * snapshot, weighted by falloffWeight. Neighbours are placed from their snapshot position, so the
+ * radius can change in the middle of a drag; keypoints out of the radius go back to the snapshot.
+ * @param {{keypointsDict: Object}} pose - Pose or Person
+ * @param {Object<string, string[]>} adjacency - From buildAdjacency
+ * @param {Object} snapshot - From snapshotKeypoints, before the move
+ * @param {string[]} sources - Names of the moved keypoints
+ * @param {number} radius - Farthest edge distance moved
+ * @param {Object} [options]
+ * @param {(name: string) => boolean} [options.isFixed] - Keypoints never moved (e.g. locked)
+ * @returns {string[]} Names of the keypoints whose position changed
+ */
+export function applyFalloff(pose, adjacency, snapshot, sources, radius, {isFixed = () => false} = {}) {
+    const sourceSet = new Set(sources);
+    const distances = getGraphDistances(adjacency, sources, radius);
+    const moved = [];
+    for (const [name, {position, confidence}] of Object.entries(snapshot)) {
+        const kp = pose.keypointsDict[name];
+        if (!kp || !position || sourceSet.has(name) || isFixed(name)) continue;
+
+        let target = position;
+        const nearest = distances.get(name);
+        if (nearest) {
+            const from = snapshot[nearest.source]?.position;
+            const to = pose.keypointsDict[nearest.source]?.getPosition();
+            if (from && to) {
+                const weight = falloffWeight(nearest.distance, radius);
+                target = {x: position.x + (to.x - from.x) * weight, y: position.y + (to.y - from.y) * weight};
+            }
+        }
+
+        const current = kp.getPosition();
+        if (current && current.x === target.x && current.y === target.y) continue;
+        kp.setPosition(target);
+        if (target === position && confidence !== null) kp.setConfidence(confidence);
+        moved.push(name);
+    }
+    return moved;
+}
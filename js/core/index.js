@@ -0,0 +1,16 @@
+/**
+ * OpenposeCanvas core: skeleton definitions, pose model, format import/export,
+ * geometric transforms and ControlNet rendering, without DOM or Konva dependencies.
+ *
+ * In Node, pass a loader to SkeletonDataAccess (see node-loader.js):
+ *   const dataAccess = new SkeletonDataAccess({loader: createFileLoader()});
+ */
+export { SkeletonDataAccess } from './skeleton-data.js';
+export { Pose, PoseKeypoint } from './pose.js';
+export { convertPose, convertSkeletonData, describeConversions } from './conversion.js';
+export * as transforms from './transforms.js';
+export * as symmetry from './symmetry.js';
+export * as kinematics from './kinematics.js';
+export * as falloff from './falloff.js';
+export { renderControlnetImage, loadControlnetConfigs } from './controlnet-renderer.js';
+export { collectPoseMetadata, embedPoseMetadata, readPoseMetadata, readPngText, writePngText } from './png-metadata.js';
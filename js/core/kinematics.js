@@ -0,0 +1,233 @@
+/**
+ * Kinematics of skeletons: a joint hierarchy derived from the skeleton edges, forward kinematics
+ * (rigid rotation of a joint with everything downstream of it about its parent) and inverse
+ * kinematics (FABRIK chains keeping bone lengths).
+ * Like transforms.js, works on anything exposing a `keypointsDict` (core Pose or editor Person).
+ */
+import { compose, rotation, transformPoint, translation } from './transforms.js';
+
+/**
+ * Joint hierarchy of a skeleton: a breadth-first spanning tree of its edges from the root.
+ * Parts the edges do not connect to the root (e.g. the face of BODY18) get their own tree, rooted at
+ * their first vertex.
+ * @param {string[]} names - Vertex names, in skeleton order
+ * @param {Array<[string, string]>} edges - Bones as [start, end] vertex names
+ * @param {string} [root] - Root vertex, if the skeleton has it
+ * @returns {{parents: Object<string, string|null>, children: Object<string, string[]>}}
+ */
+export function buildJointHierarchy(names, edges, root = 'Neck') {
+    const neighbors = Object.fromEntries(names.map(name => [name, []]));
+    for (const [start, end] of edges) {
+        if (!neighbors[start] || !neighbors[end] || start === end) continue;
+        neighbors[start].push(end);
+        neighbors[end].push(start);
+    }
+
+    const parents = {};
+    const children = Object.fromEntries(names.map(name => [name, []]));
+    const roots = names.includes(root) ? [root, ...names] : names;
+    for (const treeRoot of roots) {
+        if (treeRoot in parents) continue;
+        parents[treeRoot] = null;
+        const queue = [treeRoot];
+        while (queue.length > 0) {
+            const joint = queue.shift();
+            for (const neighbor of neighbors[joint]) {
+                if (neighbor in parents) continue;
+                parents[neighbor] = joint;
+                children[joint].push(neighbor);
+                queue.push(neighbor);
+            }
+        }
+    }
+    return {parents, children};
+}
+
+/**
+ * Names of the joints downstream of a joint, nearest first
+ * @param {{children: Object<string, string[]>}} hierarchy
+ * @param {string} joint
+ * @returns {string[]}
+ */
+export function getDescendants(hierarchy, joint) {
+    const descendants = [];
+    const queue = [...(hierarchy.children[joint] ?? [])];
+    while (queue.length > 0) {
+        const name = queue.shift();
+        descendants.push(name);
+        queue.push(...hierarchy.children[name]);
+    }
+    return descendants;
+}
+
+/**
+ * Nearest placed ancestor of a joint, the pivot it rotates about
+ * @param {{keypointsDict: Object}} pose - Pose or Person
+ * @param {{parents: Object<string, string|null>}} hierarchy
+ * @param {string} joint
+ * @returns {string|null}
+ */
+export function getPivot(pose, hierarchy, joint) {
+    let ancestor = hierarchy.parents[joint];
+    while (ancestor && !pose.keypointsDict[ancestor]?.getPosition()) {
+        ancestor = hierarchy.parents[ancestor];
+    }
+    return ancestor ?? null;
+}
+
+/**
+ * Move a joint towards a target by rotating it, with all its descendants, rigidly about its pivot:
+ * bone lengths are kept and the joint ends up on the line from the pivot to the target.
+ * Joints without a pivot (roots) translate their whole tree instead.
+ * @param {{keypointsDict: Object}} pose - Pose or Person
+ * @param {{parents: Object, children: Object}} hierarchy - From buildJointHierarchy
+ * @param {string} joint - Joint name
+ * @param {{x: number, y: number}} from - Position of the joint before the move (its descendants are
+ *     read from the pose)
+ * @param {{x: number, y: number}} to - Target position
+ * @param {Object} [options]
+ * @param {(name: string) => boolean} [options.isFixed] - Descendants left in place (e.g. locked)
+ * @returns {string[]} Names of the moved keypoints, the joint first
+ */
+export function dragJoint(pose, hierarchy, joint, from, to, {isFixed = () => false} = {}) {
+    const pivotName = getPivot(pose, hierarchy, joint);
+    let matrix;
+    if (pivotName) {
+        const pivot = pose.keypointsDict[pivotName].getPosition();
+        const angle = Math.atan2(to.y - pivot.y, to.x - pivot.x) - Math.atan2(from.y - pivot.y, from.x - pivot.x);
+        matrix = rotation(angle, pivot);
+    } else {
+        matrix = translation(to.x - from.x, to.y - from.y);
+    }
+
+    const moved = [joint];
+    pose.keypointsDict[joint].setPosition(transformPoint(from, matrix));
+    for (const name of getDescendants(hierarchy, joint)) {
+        const kp = pose.keypointsDict[name];
+        const pos = kp?.getPosition();
+        if (!pos || isFixed(name)) continue;
+        kp.setPosition(transformPoint(pos, matrix));
+        moved.push(name);
+    }
+    return moved;
+}
+
+/**
+ * FABRIK (Forward And Backward Reaching Inverse Kinematics) solve of a chain of joints: moves the
+ * joints so the last one reaches the target, keeping the first one in place and the distances
+ * between consecutive joints. Out-of-reach targets stretch the chain straight towards them.
+ * @param {{x: number, y: number}[]} points - Joint positions, from the fixed anchor to the end effector
+ * @param {{x: number, y: number}} target - Target of the end effector
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Distance to the target at which the solve stops
+ * @param {number} [options.maxIterations]
+ * @returns {{x: number, y: number}[]} New joint positions
+ */
+export function solveFabrik(points, target, {tolerance = 0.01, maxIterations = 20} = {}) {
+    const lengths = points.slice(1).map((point, i) => Math.hypot(point.x - points[i].x, point.y - points[i].y));
+    const result = points.map(point => ({...point}));
+    const anchor = {...points[0]};
+    const last = result.length - 1;
+    // Point at `length` from `from`, towards `towards`
+    const reach = (from, towards, length) => {
+        const distance = Math.hypot(towards.x - from.x, towards.y - from.y) || 1;
+        return {
+            x: from.x + (towards.x - from.x) * length / distance,
+            y: from.y + (towards.y - from.y) * length / distance
+        };
+    };
+
+    if (Math.hypot(target.x - anchor.x, target.y - anchor.y) >= lengths.reduce((sum, length) => sum + length, 0)) {
+        for (let i = 1; i <= last; i++) {
+            result[i] = reach(result[i - 1], target, lengths[i - 1]);
+        }
+        return result;
+    }
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        // Backward: from the effector at the target up to the anchor
+        result[last] = {...target};
+        for (let i = last - 1; i >= 0; i--) {
+            result[i] = reach(result[i + 1], result[i], lengths[i]);
+        }
+        // Forward: from the anchor back in place down to the effector
+        result[0] = {...anchor};
+        for (let i = 1; i <= last; i++) {
+            result[i] = reach(result[i - 1], result[i], lengths[i - 1]);
+        }
+        if (Math.hypot(result[last].x - target.x, result[last].y - target.y) <= tolerance) break;
+    }
+    return result;
+}
+
+/**
+ * Chain of joints an IK drag of an end effector moves: up the hierarchy to the nearest pinned
+ * ancestor, or else `maxBones` bones up. The chain stops early at unplaced joints and roots.
+ * @param {{keypointsDict: Object}} pose - Pose or Person
+ * @param {{parents: Object}} hierarchy - From buildJointHierarchy
+ * @param {string} effector - Dragged joint
+ * @param {Object} [options]
+ * @param {(name: string) => boolean} [options.isPinned] - Whether a joint is a fixed anchor
+ * @param {number} [options.maxBones] - Chain length without a pinned ancestor
+ * @returns {string[]} Joint names, from the anchor to the effector
+ */
+export function getIkChain(pose, hierarchy, effector, {isPinned = () => false, maxBones = 2} = {}) {
+    const ancestors = [];
+    for (let name = hierarchy.parents[effector]; name && pose.keypointsDict[name]?.getPosition(); name = hierarchy.parents[name]) {
+        ancestors.push(name);
+        if (isPinned(name)) {
+            return [...ancestors.reverse(), effector];
+        }
+    }
+    return [...ancestors.slice(0, maxBones).reverse(), effector];
+}
+
+/**
+ * Angle of the bone from `start` to `end`
+ */
+function boneAngle(start, end) {
+    return Math.atan2(end.y - start.y, end.x - start.x);
+}
+
+/**
+ * Move an end effector to a target with inverse kinematics (FABRIK): the joints of its chain
+ * (see getIkChain) are repositioned so every bone keeps its length. The parts hanging off the chain
+ * (e.g. the hand of a dragged wrist) follow their chain joint rigidly, except pinned keypoints.
+ * @param {{keypointsDict: Object}} pose - Pose or Person
+ * @param {{parents: Object, children: Object}} hierarchy - From buildJointHierarchy
+ * @param {string} effector - Dragged joint
+ * @param {{x: number, y: number}} from - Position of the effector before the move
+ * @param {{x: number, y: number}} to - Target position
+ * @param {Object} [options] - Chain options of getIkChain; pinned keypoints off the chain stay too
+ * @returns {string[]} Names of the moved keypoints
+ */
+export function ikDragJoint(pose, hierarchy, effector, from, to, options = {}) {
+    const chain = getIkChain(pose, hierarchy, effector, options);
+    const isFixed = options.isPinned ?? (() => false);
+    if (chain.length < 2) {
+        return dragJoint(pose, hierarchy, effector, from, to, {isFixed});
+    }
+    const oldPoints = chain.map((name, i) => i === chain.length - 1 ? from : pose.keypointsDict[name].getPosition());
+    const newPoints = solveFabrik(oldPoints, to);
+
+    const moved = [];
+    for (let i = 1; i < chain.length; i++) {
+        pose.keypointsDict[chain[i]].setPosition(newPoints[i]);
+        moved.push(chain[i]);
+
+        // Off-chain parts of the joint move with the bone leading to it
+        const angle = boneAngle(newPoints[i - 1], newPoints[i]) - boneAngle(oldPoints[i - 1], oldPoints[i]);
+        const matrix = compose(rotation(angle, oldPoints[i]), translation(newPoints[i].x - oldPoints[i].x, newPoints[i].y - oldPoints[i].y));
+        for (const child of hierarchy.children[chain[i]]) {
+            if (child === chain[i + 1]) continue;
+            for (const name of [child, ...getDescendants(hierarchy, child)]) {
+                const kp = pose.keypointsDict[name];
+                const pos = kp?.getPosition();
+                if (!pos || isFixed(name)) continue;
+                kp.setPosition(transformPoint(pos, matrix));
+                moved.push(name);
+            }
+        }
+    }
+    return moved;
+}
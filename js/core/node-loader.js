@@ -0,0 +1,24 @@
+/**
+ * Filesystem loader of skeleton definitions for Node.
+ * Not part of index.js, which must stay importable from browsers and workers.
+ */
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const DEFAULT_DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data');
+
+/**
+ * Create a SkeletonDataAccess loader reading `<dataDir>/<formatId>.json`
+ * @param {string} [dataDir]
+ * @returns {(formatId: string) => Promise<Object>}
+ */
+export function createFileLoader(dataDir = DEFAULT_DATA_DIR) {
+    return async (formatId) => {
+        try {
+            return JSON.parse(await readFile(path.join(dataDir, `${formatId}.json`), 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load ${formatId}.json: ${error.message}`);
+        }
+    };
+}
@@ -0,0 +1,222 @@
+/**
+ * Text metadata in PNG files: reading tEXt/iTXt chunks and writing iTXt chunks.
+ * Used to embed the pose JSON in exported ControlNet images, so they can be imported
+ * back as editable poses.
+ */
+import { crc32 } from './crc32.js';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/**
+ * Keyword of the text chunk holding the pose metadata
+ */
+export const POSE_METADATA_KEYWORD = 'openpose-canvas';
+
+/**
+ * Version of the pose metadata record written by embedPoseMetadata
+ */
+export const POSE_METADATA_VERSION = 1;
+
+/**
+ * Whether the bytes start with the PNG signature
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isPng(bytes) {
+    return bytes.length >= PNG_SIGNATURE.length && PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+/**
+ * Split a PNG into its chunks
+ * @param {Uint8Array} bytes
+ * @returns {{type: string, data: Uint8Array, start: number, end: number}[]} Chunks, with their byte range
+ *     (length, type, data and CRC) in the file
+ */
+function readChunks(bytes) {
+    if (!isPng(bytes)) {
+        throw new Error('Not a PNG file');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const end = offset + 12 + length;
+        if (end > bytes.length) {
+            throw new Error(`Truncated PNG chunk ${type}`);
+        }
+        chunks.push({type, data: bytes.subarray(offset + 8, offset + 8 + length), start: offset, end});
+        offset = end;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+/**
+ * Encode a chunk: length, type, data and CRC of type and data
+ * @param {string} type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function encodeChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Read the uncompressed text chunks of a PNG. iTXt text is UTF-8, tEXt text Latin-1;
+ * compressed (zTXt or compressed iTXt) chunks are skipped.
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Object<string, string>} Text by keyword
+ */
+export function readPngText(bytes) {
+    const texts = {};
+    const latin1 = new TextDecoder('latin1');
+    const utf8 = new TextDecoder('utf-8');
+    for (const {type, data} of readChunks(bytes)) {
+        if (type !== 'tEXt' && type !== 'iTXt') continue;
+        const keywordEnd = data.indexOf(0);
+        if (keywordEnd < 1) continue;
+        const keyword = latin1.decode(data.subarray(0, keywordEnd));
+
+        if (type === 'tEXt') {
+            texts[keyword] = latin1.decode(data.subarray(keywordEnd + 1));
+            continue;
+        }
+        // iTXt: keyword\0 compression flag, method, language tag\0 translated keyword\0 text
+        if (data[keywordEnd + 1] !== 0) continue;
+        const languageEnd = data.indexOf(0, keywordEnd + 3);
+        const translatedEnd = languageEnd < 0 ? -1 : data.indexOf(0, languageEnd + 1);
+        if (translatedEnd < 0) continue;
+        texts[keyword] = utf8.decode(data.subarray(translatedEnd + 1));
+    }
+    return texts;
+}
+
+/**
+ * Add an uncompressed iTXt chunk after the header, replacing text chunks with the same keyword
+ * @param {Uint8Array} bytes - PNG file
+ * @param {string} keyword - 1 to 79 Latin-1 characters
+ * @param {string} text
+ * @returns {Uint8Array} New PNG file
+ */
+export function writePngText(bytes, keyword, text) {
+    if (!/^[\x20-\x7E\xA1-\xFF]{1,79}$/.test(keyword)) {
+        throw new Error(`Invalid PNG text keyword "${keyword}"`);
+    }
+    const keywordBytes = Uint8Array.from(keyword, char => char.charCodeAt(0));
+    const textBytes = new TextEncoder().encode(text);
+    // keyword\0, no compression (0, 0), empty language tag\0 and translated keyword\0
+    const data = new Uint8Array(keywordBytes.length + 5 + textBytes.length);
+    data.set(keywordBytes, 0);
+    data.set(textBytes, keywordBytes.length + 5);
+    const textChunk = encodeChunk('iTXt', data);
+
+    const parts = [bytes.subarray(0, PNG_SIGNATURE.length)];
+    for (const chunk of readChunks(bytes)) {
+        const isSameKeyword = (chunk.type === 'tEXt' || chunk.type === 'iTXt')
+            && chunk.data.indexOf(0) === keywordBytes.length
+            && keywordBytes.every((value, i) => chunk.data[i] === value);
+        if (isSameKeyword) continue;
+        parts.push(bytes.subarray(chunk.start, chunk.end));
+        if (chunk.type === 'IHDR') parts.push(textChunk);
+    }
+
+    const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+/**
+ * Embed pose metadata in a PNG
+ * @param {Uint8Array} bytes - PNG file
+ * @param {Object} metadata
+ * @param {string} metadata.format - Format of the pose JSON (BODY18COMFYUI, BODY25...)
+ * @param {{width: number, height: number}} metadata.pageSize - Page size the poses are placed on
+ * @param {Object|Object[]} metadata.pose - OpenPose JSON, as exported in that format
+ * @returns {Uint8Array} New PNG file
+ */
+export function embedPoseMetadata(bytes, {format, pageSize, pose}) {
+    const record = {version: POSE_METADATA_VERSION, format, pageSize, pose};
+    return writePngText(bytes, POSE_METADATA_KEYWORD, JSON.stringify(record));
+}
+
+/**
+ * Read the pose metadata embedded by embedPoseMetadata
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {{version: number, format: string, pageSize: Object, pose: Object|Object[]}|null} Metadata,
+ *     or null if the PNG has none
+ */
+export function readPoseMetadata(bytes) {
+    const text = readPngText(bytes)[POSE_METADATA_KEYWORD];
+    if (text === undefined) return null;
+    let record;
+    try {
+        record = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid pose metadata in PNG: ${error.message}`);
+    }
+    if (!record?.pose) {
+        throw new Error('Invalid pose metadata in PNG: no pose data');
+    }
+    return record;
+}
+
+/**
+ * Pose metadata of a scene: one ComfyUI canvas per layer (people and animals), unless all persons
+ * share a skeleton ComfyUI files cannot hold (BODY25, custom...), which is then used as is.
+ * Persons that cannot be converted to ComfyUI (MediaPipe hands, custom rigs...) are left out, so
+ * embedding the metadata never fails the image export.
+ * @param {Object} dataAccess - SkeletonDataAccess
+ * @param {{persons: Object[], canvasSize: {width: number, height: number}|null}[]} canvases - Persons
+ *     (Person entities or core Poses) of each layer
+ * @param {{width: number, height: number}} pageSize - Canvas size of layers without their own
+ * @returns {Promise<{metadata: {format: string, pageSize: Object, pose: Object|Object[]}|null,
+ *     reports: Object[], skipped: {person: Object, error: Error}[]}>} Metadata (null without any
+ *     embedded person), reports of the converted persons, and the persons left out
+ */
+export async function collectPoseMetadata(dataAccess, canvases, pageSize) {
+    const persons = canvases.flatMap(canvas => canvas.persons);
+    const reports = [];
+    const skipped = [];
+    if (persons.length === 0) return {metadata: null, reports, skipped};
+
+    const formats = new Set(persons.map(person => person.format));
+    const [format] = formats;
+    if (formats.size === 1 && !['BODY18', 'AP10K'].includes(format)) {
+        let pose = null;
+        for (const person of persons) {
+            pose = await dataAccess.exportPersonAsOpenPoseJson(person, format, pose, pageSize, {normalized: false});
+        }
+        return {metadata: {format, pageSize, pose}, reports, skipped};
+    }
+
+    const pose = [];
+    let embedded = 0;
+    for (const { persons: canvasPersons, canvasSize } of canvases) {
+        if (canvasPersons.length === 0 && !canvasSize) continue;
+        const size = canvasSize ?? pageSize;
+        pose.push({people: [], canvas_width: size.width, canvas_height: size.height});
+        for (const person of canvasPersons) {
+            try {
+                const personReports = [];
+                await dataAccess.exportPersonAsOpenPoseJson(person, 'BODY18COMFYUI', pose, size, {reports: personReports, normalized: false});
+                reports.push(...personReports);
+                embedded++;
+            } catch (error) {
+                skipped.push({person, error});
+            }
+        }
+    }
+    return {metadata: embedded > 0 ? {format: 'BODY18COMFYUI', pageSize, pose} : null, reports, skipped};
+}
@@ -0,0 +1,118 @@
+/**
+ * Plain pose model.
+ * Same keypoint interface as the editor's Person/Keypoint entities (keypointsDict, getPosition,
+ * getVisible...), so the exporters of SkeletonDataAccess accept either one.
+ */
+
+export class PoseKeypoint {
+    /**
+     * @param {string} name - Vertex name
+     * @param {{x: number, y: number}|null} position - null for a missing keypoint
+     * @param {boolean} visible
+     * @param {number|null} confidence - Detection score, null if unknown
+     */
+    constructor(name, position = null, visible = true, confidence = null) {
+        this.name = name;
+        this._position = null;
+        this._visible = visible;
+        this.setPosition(position);
+        this._confidence = confidence;
+    }
+
+    getPosition() {
+        return this._position ? {...this._position} : null;
+    }
+
+    setPosition(pos) {
+        // Like the editor's Keypoint, a moved keypoint loses its detection score
+        this._confidence = null;
+        if (pos && (pos.x === null || pos.y === null)) {
+            pos = null;
+        }
+        this._position = pos ? {x: pos.x, y: pos.y} : null;
+    }
+
+    getVisible() {
+        return this._visible;
+    }
+
+    setVisible(visible) {
+        this._visible = visible;
+    }
+
+    getConfidence() {
+        return this._confidence;
+    }
+
+    setConfidence(confidence) {
+        this._confidence = confidence;
+    }
+}
+
+export class Pose {
+    /**
+     * @param {string} name
+     * @param {string} format - Skeleton format ID
+     * @param {PoseKeypoint[]} keypoints - In skeleton vertex order
+     */
+    constructor(name, format, keypoints = []) {
+        this.name = name;
+        this.format = format;
+        /** @type {Object<string, PoseKeypoint>} */
+        this.keypointsDict = {};
+        /** @type {Object|null} Fields of the imported file written back on export */
+        this.sourceData = null;
+        keypoints.forEach(kp => this.keypointsDict[kp.name] = kp);
+    }
+
+    /**
+     * Build a pose from skeleton data (e.g. the result of an import)
+     * Keypoints listed in skeletonData.hiddenKeypoints are not visible; scores come from skeletonData.confidences.
+     * @param {Object} skeletonData
+     * @param {string} [name]
+     * @returns {Pose}
+     */
+    static fromSkeletonData(skeletonData, name = 'Person1') {
+        const keypoints = skeletonData.names.map((kpName, i) => new PoseKeypoint(
+            kpName,
+            {x: skeletonData.positions[i * 2], y: skeletonData.positions[i * 2 + 1]},
+            !skeletonData.hiddenKeypoints?.includes(kpName),
+            skeletonData.confidences?.[kpName] ?? null
+        ));
+        const pose = new Pose(name, skeletonData.format, keypoints);
+        pose.sourceData = skeletonData.sourceData ?? null;
+        return pose;
+    }
+
+    /**
+     * Skeleton data holding the current keypoint positions
+     * @param {Object} baseSkeletonData - Skeleton data of this pose's format
+     * @returns {Object} skeletonData
+     */
+    toSkeletonData(baseSkeletonData) {
+        const positions = new Array(baseSkeletonData.positions.length).fill(null);
+        const hiddenKeypoints = [];
+        const confidences = {};
+        baseSkeletonData.names.forEach((name, i) => {
+            const kp = this.keypointsDict[name];
+            const pos = kp?.getPosition();
+            if (pos) {
+                positions[i * 2] = pos.x;
+                positions[i * 2 + 1] = pos.y;
+            }
+            if (kp && !kp.getVisible()) hiddenKeypoints.push(name);
+            if (kp && kp.getConfidence() !== null) confidences[name] = kp.getConfidence();
+        });
+        return {...baseSkeletonData, positions, hiddenKeypoints, confidences};
+    }
+
+    getAllKeypoints() {
+        return Object.values(this.keypointsDict);
+    }
+
+    getPosition() {
+        // Same anchor as Person: the neck, or the first keypoint for skeletons without one
+        const anchor = this.keypointsDict['Neck'] ?? this.getAllKeypoints()[0];
+        return anchor ? anchor.getPosition() : null;
+    }
+}
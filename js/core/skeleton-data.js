@@ -0,0 +1,1553 @@
+/**
+ * Skeleton definitions and pose format import/export.
+ * Free of DOM and Konva dependencies: skeleton definitions come from `fetch` by default,
+ * or from an injected loader (e.g. the filesystem in Node, see node-loader.js).
+ * Exporters take a Person entity or a core Pose, which share the same keypoint interface.
+ */
+import { getBounds, fitToBBox } from './transforms.js';
+import { convertPose, convertSkeletonData } from './conversion.js';
+import { validateSkeletonDefinition } from './skeleton-validator.js';
+
+/**
+ * Enum for OpenPose JSON Formats and their ecosystem mapping.
+ */
+const OpenPoseFormats = Object.freeze({
+    BODY18: {
+        id: 'BODY18',
+        develop: 'Automatic1111 / ControlNet Extension',
+        description: 'Standard 18-keypoint (COCO) flat array. The industry standard for SD 1.5/XL ControlNet.'
+    },
+    BODY18COMFYUI: {
+        id: 'BODY18COMFYUI',
+        develop: 'ComfyUI / OpenPose Editor',
+        description: 'Standard format extended with "canvas_width/height". Critical for multi-resolution latent scaling.'
+    },
+
+    BODY25: {
+        id: 'BODY25',
+        develop: 'Original OpenPose C++ / Research',
+        description: '25-keypoint model (COCO + Mid-Hip + Feet). High precision but often needs conversion for web-UI tools.'
+    },
+    COCOWHOLEBODY: {
+        id: 'COCOWHOLEBODY',
+        develop: 'DWPose / MMPose (COCO-WholeBody)',
+        description: '133-keypoint whole-body model (17 body + 6 feet + 68 face + 2x21 hands) in a single flat array.'
+    },
+    MEDIAPIPEPOSE: {
+        id: 'MEDIAPIPEPOSE',
+        develop: 'Google MediaPipe Pose (BlazePose)',
+        description: '33 landmarks with x/y normalized to the image size, plus z and visibility.'
+    },
+    MEDIAPIPEHAND: {
+        id: 'MEDIAPIPEHAND',
+        develop: 'Google MediaPipe Hands',
+        description: '21 landmarks per hand with x/y normalized to the image size. Same landmark order as the OpenPose hand model.'
+    },
+    AP10K: {
+        id: 'AP10K',
+        develop: 'ControlNet Animal OpenPose / MMPose (AP-10K)',
+        description: '17-keypoint quadruped model, stored as flat keypoint arrays in the "animals" list next to "people".'
+    },
+    UNKNOWN: {
+        id: 'UNKNOWN',
+        develop: 'N/A',
+        description: 'Structure does not match known OpenPose standards.'
+    }
+});
+
+/**
+ * Skeletons shipped in data/ that persons can be created with and exported to
+ */
+const BUILTIN_SKELETON_FORMATS = ['BODY18', 'BODY25', 'COCOWHOLEBODY', 'MEDIAPIPEPOSE', 'MEDIAPIPEHAND', 'AP10K'];
+
+/**
+ * Format IDs of every definition shipped in data/, including those not offered as person skeletons
+ * (the ComfyUI flavour of BODY18, the corners of reference images): custom skeletons cannot take them
+ */
+const RESERVED_SKELETON_FORMATS = [...BUILTIN_SKELETON_FORMATS, 'BODY18COMFYUI', 'IMAGE'];
+
+/**
+ * Animal skeletons: they are kept in the "animals" list of OpenPose canvases and are never
+ * converted to or from human skeletons, even where vertex names (Nose, LShoulder...) match
+ */
+const ANIMAL_SKELETON_FORMATS = ['AP10K'];
+
+/**
+ * Formats whose canvases hold animals next to people, as in ControlNet's animal OpenPose JSON
+ */
+const ANIMAL_CANVAS_FORMATS = ['BODY18', 'BODY18COMFYUI'];
+
+function isAnimalFormat(formatId) {
+    return ANIMAL_SKELETON_FORMATS.includes(formatId);
+}
+
+/**
+ * Distinguishes specific OpenPose flavor.
+ * @param {Object} data - The parsed JSON content.
+ * @returns {Object} - Returns (format, develop, description) from Enum.
+ */
+function identifyPoseFormat(data) {
+    // 1. Check for explicit format field first
+    if (data.format) {
+        switch(data.format) {
+            case 'BODY25': return OpenPoseFormats.BODY25;
+            case 'BODY18': return OpenPoseFormats.BODY18;
+            case 'BODY18COMFYUI': return OpenPoseFormats.BODY18COMFYUI;
+            case 'COCOWHOLEBODY': return OpenPoseFormats.COCOWHOLEBODY;
+            case 'MEDIAPIPEPOSE': return OpenPoseFormats.MEDIAPIPEPOSE;
+            case 'MEDIAPIPEHAND': return OpenPoseFormats.MEDIAPIPEHAND;
+            case 'AP10K': return OpenPoseFormats.AP10K;
+        }
+    }
+
+    // 2. Handle MediaPipe landmark lists
+    const landmarkLists = getMediaPipeLandmarkLists(data);
+    if (landmarkLists) {
+        const lmCount = landmarkLists[0].length;
+        if (lmCount === 33) return OpenPoseFormats.MEDIAPIPEPOSE;
+        if (lmCount === 21) return OpenPoseFormats.MEDIAPIPEHAND;
+    }
+
+    // 3. Handle the "People" Array structure (Standard formats)
+    const person = Array.isArray(data) ? data[0]?.people?.[0] : data?.people?.[0];
+    
+    if (person && person.pose_keypoints_2d) {
+        const kpCount = person.pose_keypoints_2d.length / 3;
+
+        // Determine if it has ComfyUI metadata
+        const hasCanvas = data.canvas_width || (Array.isArray(data) && data[0].canvas_width);
+
+        if (kpCount === 25) return OpenPoseFormats.BODY25;
+        if (kpCount === 133) return OpenPoseFormats.COCOWHOLEBODY;
+        if (kpCount === 18) {
+            // 18-keypoint people array format is always BODY18 (OpenPose standard)
+            return hasCanvas ? OpenPoseFormats.BODY18COMFYUI : OpenPoseFormats.BODY18;
+        }
+        
+        // Generic catch for "Standard" structure with custom KP counts (19, 70, etc.)
+        return {
+            ...OpenPoseFormats.BODY18,
+            description: `Standard structure with ${kpCount} keypoints (includes ${person.hand_left_keypoints_2d ? 'hands/face' : 'body only'}).`
+        };
+    }
+
+    // 4. Canvases with animals only
+    const canvases = Array.isArray(data) ? data : [data];
+    if (canvases.some(canvas => Array.isArray(canvas?.animals) && canvas.animals.length > 0)) {
+        return OpenPoseFormats.AP10K;
+    }
+
+    return OpenPoseFormats.UNKNOWN;
+}
+
+/**
+ * Get the landmark lists (one per detected pose or hand) of MediaPipe JSON.
+ * Accepts the Tasks API result (`{landmarks: [[...], ...]}`), a single landmark list
+ * (`{landmarks: [...]}`) and the keys of the legacy solutions.
+ * @param {Object} data - The parsed JSON content.
+ * @returns {Object[][]|null} Landmark lists, or null if data is not MediaPipe JSON
+ */
+function getMediaPipeLandmarkLists(data) {
+    if (!data || Array.isArray(data)) return null;
+    const landmarks = data.landmarks ?? data.poseLandmarks ?? data.pose_landmarks
+        ?? data.multiHandLandmarks ?? data.multi_hand_landmarks ?? data.hand_landmarks;
+    if (!Array.isArray(landmarks) || landmarks.length === 0) return null;
+
+    const lists = (Array.isArray(landmarks[0]) || landmarks[0]?.landmark ? landmarks : [landmarks])
+        .map(list => Array.isArray(list) ? list : list.landmark);
+    const isLandmarkList = list => Array.isArray(list) && list.length > 0
+        && list.every(lm => typeof lm?.x === 'number' && typeof lm?.y === 'number');
+    return lists.every(isLandmarkList) ? lists : null;
+}
+
+/**
+ * MediaPipe landmarks below this visibility are imported as hidden keypoints
+ */
+const MEDIAPIPE_VISIBILITY_THRESHOLD = 0.5;
+
+/**
+ * Skeleton whose ControlNet colors are used when a format does not define its own
+ */
+const DEFAULT_CONTROLNET_FORMAT = 'BODY18';
+
+/**
+ * Fields of OpenPose people and canvases that the importers and exporters handle themselves.
+ * Any other field is kept as source data and written back on export.
+ */
+const OPENPOSE_PERSON_KEYS = ['pose_keypoints_2d', 'face_keypoints_2d', 'hand_left_keypoints_2d', 'hand_right_keypoints_2d'];
+const OPENPOSE_CANVAS_KEYS = ['people', 'animals', 'canvas_width', 'canvas_height'];
+
+/**
+ * Copy of an object without the given keys
+ * @param {Object} obj
+ * @param {string[]} keys
+ * @returns {Object}
+ */
+function omitKeys(obj, keys) {
+    return Object.fromEntries(Object.entries(obj ?? {}).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Confidence written for a keypoint: its imported score, unless it was edited (no score) or
+ * its visibility no longer agrees with the score, then 1.0 for visible and 0.0 for hidden
+ * @param {Object} kp - Keypoint or PoseKeypoint
+ * @param {number} [visibleFrom] - Lowest score the format reads back as visible
+ * @returns {number}
+ */
+function getExportConfidence(kp, visibleFrom = Number.MIN_VALUE) {
+    const confidence = kp.getConfidence?.() ?? null;
+    if (confidence !== null && (confidence >= visibleFrom) === kp.getVisible()) {
+        return confidence;
+    }
+    return kp.getVisible() ? 1.0 : 0.;
+}
+
+/**
+ * Keypoint names of the COCO person category, in annotation order
+ */
+const COCO_KEYPOINT_NAMES = Object.freeze([
+    'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+    'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+    'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
+    'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+]);
+
+/**
+ * COCO person skeleton (1-based keypoint indices)
+ */
+const COCO_SKELETON = Object.freeze([
+    [16, 14], [14, 12], [17, 15], [15, 13], [12, 13], [6, 12], [7, 13], [6, 7], [6, 8], [7, 9],
+    [8, 10], [9, 11], [2, 3], [1, 2], [1, 3], [2, 4], [3, 5], [4, 6], [5, 7]
+]);
+
+/**
+ * COCO-WholeBody part arrays and their keypoint counts.
+ * They follow the 17 body keypoints in the same order as the COCOWHOLEBODY vertices.
+ */
+const COCO_WHOLEBODY_PARTS = Object.freeze([
+    ['foot_kpts', 6],
+    ['face_kpts', 68],
+    ['lefthand_kpts', 21],
+    ['righthand_kpts', 21]
+]);
+
+/**
+ * Skeletons tried, in order, for the keypoint names of a COCO category
+ */
+const COCO_CANDIDATE_FORMATS = Object.freeze(['BODY18', 'BODY25', 'COCOWHOLEBODY']);
+
+/**
+ * Convert a COCO keypoint name to a skeleton vertex name (`left_big_toe` -> `LBigToe`)
+ * @param {string} cocoName
+ * @returns {string}
+ */
+function cocoNameToVertexName(cocoName) {
+    return cocoName.split('_').map((part, i) => {
+        if (i === 0 && part === 'left') return 'L';
+        if (i === 0 && part === 'right') return 'R';
+        return part.charAt(0).toUpperCase() + part.slice(1);
+    }).join('');
+}
+
+/**
+ * Skeleton Data Access Class
+ * Provides efficient access to skeleton JSON data files
+ */
+export class SkeletonDataAccess {
+    /**
+     * @param {Object} [options]
+     * @param {((formatId: string) => Promise<Object>)|null} [options.loader] - Loads the raw JSON
+     *     definition of a skeleton format. Defaults to fetching `${dataPath}${formatId}.json`.
+     * @param {string} [options.dataPath] - Base URL of the skeleton definitions for the default loader
+     */
+    constructor({loader=null, dataPath='./data/'}={}) {
+        this.cache = new Map();
+        this.loader = loader;
+        this.dataPath = dataPath;
+        /** @type {Map<string, Object>} formatId -> raw JSON definition registered at runtime */
+        this.customSkeletons = new Map();
+    }
+
+    /**
+     * Check whether parsed JSON is a skeleton definition, in the schema of data/*.json
+     * @param {Object} data - The parsed JSON content.
+     * @returns {boolean}
+     */
+    static isSkeletonDefinition(data) {
+        return !!data && !Array.isArray(data) && typeof data.format === 'string'
+            && !!data.vertices && typeof data.vertices === 'object' && !Array.isArray(data.vertices)
+            && Array.isArray(data.edges) && !!data.limbs && typeof data.limbs === 'object';
+    }
+
+    /**
+     * Register a custom skeleton definition (animal or robot rigs...), replacing any custom
+     * skeleton of the same format ID
+     * @param {Object} definition - Raw JSON definition: format, vertices, edges, limbs, controlnet, metadata
+     * @returns {string} Format ID
+     */
+    registerSkeleton(definition) {
+        if (!SkeletonDataAccess.isSkeletonDefinition(definition)) {
+            throw new Error('Not a skeleton definition: "format", "vertices", "edges" and "limbs" are required');
+        }
+        const formatId = definition.format;
+        if (RESERVED_SKELETON_FORMATS.includes(formatId) || Object.hasOwn(OpenPoseFormats, formatId)) {
+            throw new Error(`"${formatId}" is a built-in format`);
+        }
+        const { errors } = SkeletonDataAccess.validateSkeletonDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid skeleton ${formatId}:\n${errors.join('\n')}`);
+        }
+        this.customSkeletons.set(formatId, definition);
+        this.cache.delete(formatId);
+        return formatId;
+    }
+
+    unregisterSkeleton(formatId) {
+        this.cache.delete(formatId);
+        return this.customSkeletons.delete(formatId);
+    }
+
+    isCustomFormat(formatId) {
+        return this.customSkeletons.has(formatId);
+    }
+
+    /**
+     * Skeleton formats persons can be created with: the built-in ones, then the custom ones
+     * @returns {string[]}
+     */
+    listFormats() {
+        return [...BUILTIN_SKELETON_FORMATS, ...this.customSkeletons.keys()];
+    }
+
+    /**
+     * Load the raw JSON definition of a skeleton format
+     * @param {string} formatId - Format ID from OpenPoseFormats enum, or of a custom skeleton
+     * @returns {Promise<Object>} Raw JSON data
+     */
+    async loadSkeletonJson(formatId) {
+        if (this.customSkeletons.has(formatId)) {
+            return this.customSkeletons.get(formatId);
+        }
+        if (this.loader) {
+            return this.loader(formatId);
+        }
+        const response = await fetch(`${this.dataPath}${formatId}.json`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${formatId}.json: ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Load skeleton data for specific format
+     * @param {string} formatId - Format ID from OpenPoseFormats enum
+     * @returns {Promise<Object>} Skeleton data structure
+     */
+    async loadSkeletonData(formatId) {
+        if (this.cache.has(formatId)) {
+            return this.cache.get(formatId);
+        }
+
+        try {
+            const data = await this.loadSkeletonJson(formatId);
+            const processedData = this.processData(data);
+            this.cache.set(formatId, processedData);
+            return processedData;
+        } catch (error) {
+            console.error('Error loading skeleton data:', error);
+            throw new Error(`Failed to load skeleton ${formatId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate a skeleton definition, see skeleton-validator.js
+     * @param {Object} definition - Raw JSON definition
+     * @returns {{errors: string[], warnings: string[]}}
+     */
+    static validateSkeletonDefinition(definition) {
+        return validateSkeletonDefinition(definition, limbs => SkeletonDataAccess._getLimbMap(limbs));
+    }
+
+    async loadControlnetConfig(formatId) {
+        try {
+            const data = (await this.loadSkeletonJson(formatId))['controlnet'];
+            if (!data && formatId !== DEFAULT_CONTROLNET_FORMAT) {
+                return await this.loadControlnetConfig(DEFAULT_CONTROLNET_FORMAT);
+            }
+            return data;
+        } catch (error) {
+            console.error('Error loading ControlNet config data:', error);
+        }
+    }
+
+    /**
+     * Process raw JSON data into efficient structures
+     * @param {Object} data - Raw JSON data
+     * @returns {Object} Processed skeleton data
+     */
+    processData(data) {
+        const { errors } = SkeletonDataAccess.validateSkeletonDefinition(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid skeleton definition ${data?.format}:\n${errors.join('\n')}`);
+        }
+        const keypointOrder = Object.keys(data.vertices);
+        const positions = new Array(keypointOrder.length * 2);
+        const nameToIndex = {};
+        
+        // Build positions array and name mapping
+        keypointOrder.forEach((name, index) => {
+            nameToIndex[name] = index;
+            const pos = data.vertices[name];
+            positions[index * 2] = pos[0];
+            positions[index * 2 + 1] = pos[1];
+        });
+
+        // Convert edges from name pairs to index pairs
+        const edges = new Uint16Array(data.edges.length * 2);
+        data.edges.forEach((edge, index) => {
+            const [startName, endName] = edge;
+            edges[index * 2] = nameToIndex[startName];
+            edges[index * 2 + 1] = nameToIndex[endName];
+        });
+
+        const limbNames = Object.keys(data.limbs).filter((key => !SkeletonDataAccess.isSymbolicLimb(key)));
+        // Convert limbs from name arrays to index arrays
+        const limbs = limbNames.map( limbName => {
+            const indices = SkeletonDataAccess._resolveLimbs(data.limbs, data.limbs[limbName]).map(name => nameToIndex[name]);
+            return new Uint8Array(indices);
+        });
+
+        const naturalBounds = this._calculateNaturalBounds(positions);
+
+        return {
+            format: data.format,
+            positions,
+            edges,
+            names: keypointOrder,
+            limbs,
+            limbNames,
+            metadata: data.metadata || null,
+            nameToIndex,
+            naturalBounds
+        };
+    }
+
+    static isSymbolicLimb(limbName) {
+        return limbName.startsWith('.');
+    }
+
+    static _resolveLimbs(limbData, limbNames) {
+        const result = [];
+        const stack = [...limbNames];
+
+        while (stack.length) {
+            const name = stack.pop();
+
+            if (this.isSymbolicLimb(name)) {
+                stack.push(...limbData[Object.hasOwn(limbData, name) ? name : name.slice(1)]);
+            } else {
+                result.push(name);
+            }
+        }
+        return result;
+    }
+
+    async resolveLimbs(formatId, limbNames) {
+        const data = await this.loadSkeletonJson(formatId);
+        return SkeletonDataAccess._resolveLimbs(data.limbs, limbNames);
+        
+    }
+
+    /**
+     * Calculate natural bounding box of vertices
+     * @param {Array} positions - Vertex positions [x, y, x, y...]
+     * @returns {Object} Bounds {minX, minY, width, height}
+     */
+    _calculateNaturalBounds(positions) {
+        return getBounds(positions);
+    }
+
+    /**
+     * set vertex position by name
+     * @param {Object} skeletonData - Loaded skeleton data
+     * @param {string} vertexName - Vertex Name
+     * @param {Array<number|null>} position - [x, y] to set  
+     */
+
+    setVertexPosition(skeletonData, vertexName, position) {
+        const i = skeletonData.names.indexOf(vertexName) * 2;
+        skeletonData.positions[i] = position[0];
+        skeletonData.positions[i + 1] = position[1];
+    }
+
+    /**
+     * Get vertex position by index
+     * @param {Object} skeletonData - Loaded skeleton data
+     * @param {number} index - Vertex index
+     * @param {Object} [bbox] - Target bounds {x, y, width, height}. If width/height missing, acts as offset x/y.
+     * @returns {Object<string, number|null>} {x, y} position
+     */
+    getVertexPosition(skeletonData, index, bbox = { x: 0, y: 0, width: 0, height: 0 }) {
+        const i = index * 2;
+        const rawX = skeletonData.positions[i];
+        const rawY = skeletonData.positions[i + 1];
+        if (rawX == null && rawY == null) {
+            return {
+                x: null,
+                y: null
+            }
+        }
+
+        if (bbox.width && bbox.height && skeletonData.naturalBounds) {
+            return fitToBBox(rawX, rawY, skeletonData.naturalBounds, bbox);
+        }
+
+        return {
+            x: rawX + (bbox.x || 0),
+            y: rawY + (bbox.y || 0)
+        };
+    }
+
+    /**
+     * Get edge vertices by edge index
+     * @param {Object} skeletonData - Loaded skeleton data
+     * @param {number} edgeIndex - Edge index
+     * @returns {Array<number>} [startVertexIndex, endVertexIndex]
+     */
+    getEdge(skeletonData, edgeIndex) {
+        const i = edgeIndex * 2;
+        return [skeletonData.edges[i], skeletonData.edges[i + 1]];
+    }
+
+    /**
+     * Get vertices in a limb
+     * @param {Object} skeletonData - Loaded skeleton data
+     * @param {number} limbIndex - Limb index
+     * @returns {Array<number>} Vertex indices
+     */
+    getLimbVertices(skeletonData, limbIndex) {
+        return Array.from(skeletonData.limbs[limbIndex]);
+    }
+
+    /**
+     * Calculate edge length
+     * @param {Object} skeletonData - Loaded skeleton data
+     * @param {number} edgeIndex - Edge index
+     * @param {Object} [bbox] - Target bounds {x, y, width, height}
+     * @returns {number} Edge length
+     */
+    getEdgeLength(skeletonData, edgeIndex, bbox = { x: 0, y: 0, width: 0, height: 0 }) {
+        const [startIdx, endIdx] = this.getEdge(skeletonData, edgeIndex);
+        const start = this.getVertexPosition(skeletonData, startIdx, bbox);
+        const end = this.getVertexPosition(skeletonData, endIdx, bbox);
+        
+        if (!start || !end) return 0;
+
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Get vertex name by index
+     * @param {Object} skeletonData - Loaded skeleton data
+     * @param {number} index - Vertex index
+     * @returns {string} Vertex name
+     */
+    getVertexName(skeletonData, index) {
+        return skeletonData.names[index];
+    }
+
+    /**
+     * Get limb name by index
+     * @param {Object} skeletonData - Loaded skeleton data
+     * @param {number} index - Limb index
+     * @returns {string} Limb name
+     */
+    getLimbName(skeletonData, index) {
+        return skeletonData.limbNames[index];
+    }
+
+    /**
+     * Translate all vertex positions
+     * @param {Object} skeletonData - Loaded skeleton data
+     * @param {number} deltaX - X translation
+     * @param {number} deltaY - Y translation
+     */
+    translateVertices(skeletonData, deltaX, deltaY) {
+        const positions = skeletonData.positions;
+        for (let i = 0; i < positions.length; i += 2) {
+            positions[i] += deltaX;
+            positions[i + 1] += deltaY;
+        }
+    }
+
+    /**
+     * Clear cache
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Export person data as OpenPose JSON format
+     * @param {Person} person - Person entity to export
+     * @param {string} format - Target format (defaults to person's format)
+     * @param {Object | Object[] | null} toJson - Existing JSON to merge with
+     * @param {Object} pageSize - Optional {width, height} page dimensions
+     * @param {Object} [options]
+     * @param {Object[]|null} [options.reports] - Receives the report if the person had to be converted
+     * @param {boolean|null} [options.normalized] - Write BODY18COMFYUI coordinates normalized to [0, 1]
+     *     instead of pixels. Defaults to the coordinates of the file the person was imported from
+     * @returns {Promise<Object>} OpenPose JSON data
+     */
+    async exportPersonAsOpenPoseJson(person, format=null, toJson=null, pageSize=null, {reports=null, normalized=null}={}) {
+        const targetFormat = format || person.format;
+        normalized ??= person.sourceData?.normalized ?? false;
+
+        try {
+            // Animals go into the "animals" list of ControlNet and ComfyUI canvases, next to people
+            if (isAnimalFormat(person.format) && ANIMAL_CANVAS_FORMATS.includes(targetFormat)) {
+                const animalSkeletonData = await this.loadSkeletonData(person.format);
+                if (targetFormat === 'BODY18COMFYUI') {
+                    return this.createAP10K(person, animalSkeletonData, toJson ?? [{people: [], canvas_width: 0, canvas_height: 0}], pageSize, normalized);
+                }
+                return this.createAP10K(person, animalSkeletonData, toJson ?? {people: []});
+            }
+
+            // ComfyUI files carry face and hands like BODY18: persons with them convert against BODY18
+            const hasFaceOrHands = Object.keys(person.keypointsDict)
+                .some(name => ['Face', 'LHand', 'RHand'].some(partName => name.startsWith(partName + '_')));
+            const conversionFormat = targetFormat === 'BODY18COMFYUI' && hasFaceOrHands ? 'BODY18' : targetFormat;
+            const skeletonData = await this.loadSkeletonData(conversionFormat);
+            person = this.convertPersonToFormat(person, skeletonData, reports, targetFormat);
+
+            switch (targetFormat) {
+                case 'BODY18':
+                    return this.createBODY18(person, skeletonData, toJson);
+                case 'BODY18COMFYUI':
+                    return this.createBODY18COMFYUI(person, skeletonData, toJson, pageSize, normalized);
+                case 'BODY25':
+                    return this.createBODY25(person, skeletonData, toJson);
+                case 'COCOWHOLEBODY':
+                    return this.createCOCOWHOLEBODY(person, skeletonData, toJson);
+                case 'MEDIAPIPEPOSE':
+                    return this.createMEDIAPIPEPOSE(person, skeletonData, toJson, pageSize);
+                case 'MEDIAPIPEHAND':
+                    return this.createMEDIAPIPEHAND(person, skeletonData, toJson, pageSize);
+                case 'AP10K':
+                    return this.createAP10K(person, skeletonData, toJson, pageSize);
+
+                default:
+                    if (this.isCustomFormat(targetFormat)) {
+                        return this.createCustom(person, skeletonData, toJson);
+                    }
+                    const supportedFormats = ['BODY18COMFYUI', ...this.listFormats()];
+                    throw new Error(`Unsupported format: ${targetFormat}. Supported formats: ${supportedFormats.join(', ')}`);
+            }
+        } catch (error) {
+            throw new Error(`Failed to generate OpenPose JSON data for ${targetFormat}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a person lacking keypoints of the target skeleton, estimating what it can
+     * (e.g. MidHip and feet for BODY18 → BODY25)
+     * @param {Person} person - Person entity or core Pose
+     * @param {Object} skeletonData - Target skeleton data
+     * @param {Object[]|null} [reports] - Receives the conversion report
+     * @param {string|null} [targetFormat] - Export format named in the report (default: that of the skeleton)
+     * @returns {Person|Pose} The person itself if it has every target keypoint and no placed keypoint
+     *     the target lacks
+     */
+    convertPersonToFormat(person, skeletonData, reports=null, targetFormat=null) {
+        if (person.format && isAnimalFormat(person.format) !== isAnimalFormat(skeletonData.format)) {
+            throw new Error(`Format incompatibility: ${person.format} pose cannot be converted to ${skeletonData.format}`);
+        }
+        const targetNames = new Set(skeletonData.names);
+        const isComplete = skeletonData.names.every(name => person.keypointsDict[name]);
+        const dropsKeypoints = Object.entries(person.keypointsDict)
+            .some(([name, kp]) => !targetNames.has(name) && kp.getPosition());
+        if (isComplete && !dropsKeypoints) {
+            return person;
+        }
+        const { pose, report } = convertPose(person, skeletonData);
+        if (targetFormat) report.to = targetFormat;
+        if (report.missing.length === skeletonData.names.length) {
+            throw new Error(`Format incompatibility: ${person.format || 'UNKNOWN'} pose has no keypoint in common with ${skeletonData.format}`);
+        }
+        reports?.push(report);
+        return pose;
+    }
+
+    /**
+     * Create ControlNet Standard format
+     * @param {Person} person - Person entity
+     * @param {Object} skeletonData - Skeleton data
+     * @param {Object | null} toJson - Existing JSON to merge with
+     * @returns {Object} ControlNet Standard JSON
+     */
+    createBODY18(person, skeletonData, toJson=null) {
+        if (toJson === null) {
+            toJson = {people: []};
+        }
+        const poseKeypoints = [];
+        
+        skeletonData.names.forEach(name => {
+            if (['Face', 'LHand', 'RHand'].some(partName => name.startsWith(partName + '_'))) return;
+            const kp = person.keypointsDict[name]
+            const pos = kp.getPosition();
+            const confidence = getExportConfidence(kp);
+            if (pos) {
+                poseKeypoints.push(pos.x, pos.y, confidence); // x, y, confidence
+            } else {
+                poseKeypoints.push(0, 0, 0); // Missing keypoint
+            }
+        });
+        
+        // Export face keypoints if available
+        const faceKeypoints = this.exportKeypoints(person.keypointsDict, 'Face');
+        
+        // Export hand keypoints if available
+        const leftHandKeypoints = this.exportKeypoints(person.keypointsDict, 'LHand');
+        const rightHandKeypoints = this.exportKeypoints(person.keypointsDict, 'RHand');
+        
+        toJson.people.push(this._mergeSourceData(person, toJson, {
+            pose_keypoints_2d: poseKeypoints,
+            face_keypoints_2d: faceKeypoints,
+            hand_left_keypoints_2d: leftHandKeypoints,
+            hand_right_keypoints_2d: rightHandKeypoints
+        }));
+        return toJson;
+    }
+
+    /**
+     * Create ComfyUI Enhanced format
+     * @param {Person} person - Person entity
+     * @param {Object} skeletonData - Skeleton data
+     * @param {Object[]|null} toJson - Existing ComfyUI Enhanced JSON to merge with
+     * @param {Object|null} pageSize - Optional {width, height} page dimensions
+     * @param {boolean} [normalized] - Write coordinates normalized to the canvas size
+     * @returns {Object[]} ComfyUI Enhanced JSON
+     */
+    createBODY18COMFYUI(person, skeletonData, toJson=null, pageSize=null, normalized=false) {
+        if (toJson === null) {
+            toJson = [{people: [], canvas_width: 0, canvas_height: 0}];
+        }
+        const data = toJson[toJson.length - 1];
+        this.createBODY18(person, skeletonData, data);
+
+        // Use provided page size, or calculate from pose extents as fallback
+        if (pageSize && pageSize.width && pageSize.height) {
+            data.canvas_width = pageSize.width;
+            data.canvas_height = pageSize.height;
+        } else {
+            const positions = skeletonData.names.map(name => person.keypointsDict[name].getPosition()).filter(Boolean);
+            if (positions.length > 0) {
+                const xs = positions.map(p => p.x);
+                const ys = positions.map(p => p.y);
+                const minX = Math.min(...xs);
+                const maxX = Math.max(...xs);
+                const minY = Math.min(...ys);
+                const maxY = Math.max(...ys);
+
+                data.canvas_width = Math.max(Math.round(maxX - minX + 100), data.canvas_width);
+                data.canvas_height = Math.max(Math.round(maxY - minY + 100), data.canvas_height);
+            }
+        }
+
+        if (normalized) {
+            const entry = data.people[data.people.length - 1];
+            for (const key of ['pose_keypoints_2d', 'face_keypoints_2d', 'hand_left_keypoints_2d', 'hand_right_keypoints_2d']) {
+                if (Array.isArray(entry[key])) {
+                    entry[key] = this._normalizeKeypoints(entry[key], data);
+                }
+            }
+        }
+        return toJson;
+    }
+
+    /**
+     * Create Body25 Full format
+     * @param {Person} person - Person entity
+     * @param {Object} skeletonData - Skeleton data
+     * @param {Object|null} toJson - Existing Body25 Full JSON to merge with
+     * @returns {Object} Body25 Full JSON
+     */
+    createBODY25(person, skeletonData, toJson=null) {
+        return this.createBODY18(person, skeletonData, toJson);
+    };
+
+    /**
+     * Create MediaPipe landmark format (Tasks API layout)
+     * @param {Person} person - Person entity
+     * @param {Object} skeletonData - Skeleton data
+     * @param {Object|null} toJson - Existing MediaPipe JSON to merge with
+     * @param {Object} pageSize - {width, height} page dimensions the landmarks are normalized against
+     * @returns {Object} MediaPipe JSON
+     */
+    createMediaPipe(person, skeletonData, toJson=null, pageSize=null) {
+        if (!pageSize || !pageSize.width || !pageSize.height) {
+            throw new Error('Page size is required to normalize MediaPipe landmarks');
+        }
+        if (toJson === null) {
+            toJson = {landmarks: [], image_width: pageSize.width, image_height: pageSize.height};
+        }
+
+        const landmarks = skeletonData.names.map(name => {
+            const kp = person.keypointsDict[name];
+            const pos = kp.getPosition();
+            if (!pos) {
+                return {x: 0, y: 0, z: 0, visibility: 0}; // Missing keypoint
+            }
+            return {
+                x: pos.x / pageSize.width,
+                y: pos.y / pageSize.height,
+                z: 0,
+                visibility: getExportConfidence(kp, MEDIAPIPE_VISIBILITY_THRESHOLD)
+            };
+        });
+
+        toJson.landmarks.push(landmarks);
+        return toJson;
+    }
+
+    createMEDIAPIPEPOSE(person, skeletonData, toJson=null, pageSize=null) {
+        return this.createMediaPipe(person, skeletonData, toJson, pageSize);
+    }
+
+    createMEDIAPIPEHAND(person, skeletonData, toJson=null, pageSize=null) {
+        return this.createMediaPipe(person, skeletonData, toJson, pageSize);
+    }
+
+    /**
+     * Create COCO-WholeBody (DWPose) format
+     * All 133 keypoints (body, feet, face, hands) go into a single flat pose_keypoints_2d array
+     * @param {Person} person - Person entity
+     * @param {Object} skeletonData - Skeleton data
+     * @param {Object|null} toJson - Existing COCO-WholeBody JSON to merge with
+     * @returns {Object} COCO-WholeBody JSON
+     */
+    createCOCOWHOLEBODY(person, skeletonData, toJson=null) {
+        return this.createFlatKeypoints(person, skeletonData, toJson);
+    }
+
+    /**
+     * Create the format of a custom skeleton: every vertex in one flat pose_keypoints_2d array,
+     * tagged with the format ID so the file can be imported back
+     * @param {Person} person - Person entity
+     * @param {Object} skeletonData - Skeleton data
+     * @param {Object|null} toJson - Existing JSON to merge with
+     * @returns {Object} JSON
+     */
+    createCustom(person, skeletonData, toJson=null) {
+        return this.createFlatKeypoints(person, skeletonData, toJson ?? {format: skeletonData.format, people: []});
+    }
+
+    createFlatKeypoints(person, skeletonData, toJson=null) {
+        if (toJson === null) {
+            toJson = {people: []};
+        }
+        const poseKeypoints = this._flattenKeypoints(person, skeletonData);
+        toJson.people.push(this._mergeSourceData(person, toJson, {pose_keypoints_2d: poseKeypoints}));
+        return toJson;
+    }
+
+    /**
+     * Create ControlNet animal OpenPose format: each animal is a flat [x, y, confidence, ...]
+     * array in the "animals" list of the canvas
+     * @param {Person} person - Person entity of an animal skeleton
+     * @param {Object} skeletonData - Skeleton data
+     * @param {Object|Object[]|null} toJson - Existing canvas, or ComfyUI canvas list (the animal goes
+     *     into the last canvas), to merge with
+     * @param {Object|null} pageSize - Optional {width, height} written as the canvas size
+     * @param {boolean} [normalized] - Write coordinates normalized to the canvas size
+     * @returns {Object|Object[]} JSON
+     */
+    createAP10K(person, skeletonData, toJson=null, pageSize=null, normalized=false) {
+        if (toJson === null) {
+            toJson = {people: [], animals: []};
+        }
+        const canvas = Array.isArray(toJson) ? toJson[toJson.length - 1] : toJson;
+        // Animals are bare keypoint arrays: only the canvas fields of the source are written back
+        this._mergeSourceData(person, canvas, {});
+
+        if (pageSize && pageSize.width && pageSize.height) {
+            canvas.canvas_width = pageSize.width;
+            canvas.canvas_height = pageSize.height;
+        }
+        const keypoints = this._flattenKeypoints(person, skeletonData);
+        canvas.animals ??= [];
+        canvas.animals.push(normalized ? this._normalizeKeypoints(keypoints, canvas) : keypoints);
+        return toJson;
+    }
+
+    /**
+     * Divide flat [x, y, confidence, ...] pixel coordinates by the canvas size.
+     * Missing keypoints (confidence 0) stay at 0, 0.
+     * @param {number[]} keypoints
+     * @param {{canvas_width: number, canvas_height: number}} canvas
+     * @returns {number[]} Normalized keypoints
+     */
+    _normalizeKeypoints(keypoints, canvas) {
+        if (!canvas.canvas_width || !canvas.canvas_height) {
+            throw new Error('A canvas size is required to normalize coordinates');
+        }
+        return keypoints.map((value, i) => {
+            switch (i % 3) {
+                case 0: return value / canvas.canvas_width;
+                case 1: return value / canvas.canvas_height;
+                default: return value;
+            }
+        });
+    }
+
+    /**
+     * Keypoints of a person as a flat [x, y, confidence, ...] array in skeleton vertex order
+     * @param {Person} person - Person entity
+     * @param {Object} skeletonData - Skeleton data
+     * @returns {number[]}
+     */
+    _flattenKeypoints(person, skeletonData) {
+        const keypoints = [];
+        skeletonData.names.forEach(name => {
+            const kp = person.keypointsDict[name];
+            const pos = kp.getPosition();
+            if (pos) {
+                keypoints.push(pos.x, pos.y, getExportConfidence(kp));
+            } else {
+                keypoints.push(0, 0, 0); // Missing keypoint
+            }
+        });
+        return keypoints;
+    }
+
+    /**
+     * Write back the fields of the imported file that the exporters do not handle
+     * (person_id, pose_keypoints_3d, version, custom metadata...)
+     * The person's fields go into its entry, the canvas fields into the canvas unless already set
+     * by another person.
+     * @param {Person} person - Person entity, with the sourceData of its import if any
+     * @param {Object} canvasJson - Canvas object the person entry is added to
+     * @param {Object} personJson - Exported person entry
+     * @returns {Object} Person entry
+     */
+    _mergeSourceData(person, canvasJson, personJson) {
+        const sourceData = person.sourceData;
+        if (!sourceData) return personJson;
+        for (const [key, value] of Object.entries(omitKeys(sourceData.canvas, OPENPOSE_CANVAS_KEYS))) {
+            if (!(key in canvasJson)) canvasJson[key] = structuredClone(value);
+        }
+        return {...structuredClone(sourceData.person ?? {}), ...personJson};
+    }
+
+
+
+    /**
+     * Export keypoints from person data for any body part
+     * @param {Object} keypointDict - Person entity
+     * @param {string} keypointType - 'Face', 'LHand', or 'RHand'
+     * @returns {Array<number>} Keypoints array [x, y, confidence, ...] or empty array if no valid keypoints
+     */
+    exportKeypoints(keypointDict, keypointType) {
+        const keypoints = [];
+        let hasValidKeypoints = false;
+        
+        // Check if person has this type of keypoints
+        for (const keypointName of Object.keys(keypointDict)) {
+            // Loop through all available keypoints dynamically
+            if (!keypointName.startsWith(keypointType + '_')){
+                continue;
+            }
+            const keypoint = keypointDict[keypointName];
+            const pos = keypoint.getPosition();
+            if (keypoint && pos) {
+                keypoints.push(pos.x, pos.y, getExportConfidence(keypoint));
+                hasValidKeypoints = true;
+            } else {
+                keypoints.push(0, 0, 0);
+            }
+        };
+        
+        // Return empty array if no valid keypoints (all positions are 0,0)
+        return hasValidKeypoints ? keypoints : [];
+    }
+
+    /**
+     * Extract general COCO format keypoints from person data
+     * @param {Object<string, number[]>} personData - Person data from OpenPose JSON
+     * @param {string} cocoFormat - COCO format: BODY18, BODY25...
+     * @param {Array<string[]>} entries - [vertex prefix, JSON key] of the separately stored parts
+     * @return {Promise<Object>} skeletonData
+     */
+    async _extractCOCO(personData, cocoFormat, entries=[
+        ['Face', 'face_keypoints_2d'],
+        ['RHand', 'hand_right_keypoints_2d'],
+        ['LHand', 'hand_left_keypoints_2d']
+    ]) {
+        const baseSkeletonData = await this.loadSkeletonData(cocoFormat);
+        const skeletonData = {
+            ...baseSkeletonData,
+            positions: new Array(baseSkeletonData.positions.length).fill(null),
+            confidences: {}
+        };
+        const body = await this._importCOCOPartKeypoints(personData, "pose_keypoints_2d");
+        skeletonData.positions.splice(0, body.positions.length, ...body.positions);
+        body.confidences.forEach((confidence, i) => {
+            if (confidence !== null && i < skeletonData.names.length) {
+                skeletonData.confidences[skeletonData.names[i]] = confidence;
+            }
+        });
+        await Promise.all(
+            entries.map(async ([name, key]) => {
+                const part = await this._importCOCOPartKeypoints(personData, key);
+                for (let i = 0; i < part.positions.length / 2; i++) {
+                    this.setVertexPosition(
+                        skeletonData,
+                        `${name}_${i}`,
+                        [part.positions[i * 2], part.positions[i * 2 + 1]]
+                    );
+                    if (part.confidences[i] !== null) {
+                        skeletonData.confidences[`${name}_${i}`] = part.confidences[i];
+                    }
+                }
+            })
+        );
+        return skeletonData;
+
+    }
+
+    /**
+     * Extract BODY18 format keypoints from person data
+     * @param {Object} personData - Person data from OpenPose JSON
+     * @return {Object} skeletonData
+     */
+    async _extractBODY18(personData) {
+        return this._extractCOCO(personData, 'BODY18');
+    }
+
+    /**
+     * Extract BODY25 format keypoints from person data
+     * @param {Object} personData - Person data from OpenPose JSON
+     * @return {Object} skeletonData
+     */
+    async _extractBODY25(personData) {
+        return this._extractCOCO(personData, 'BODY25');
+    }
+
+    /**
+     * Extract BODY18COMFYUI format keypoints from person data
+     * @param {Object} personData - Person data from OpenPose JSON
+     * @return {Object} skeletonData
+     */
+    async _extractBODY18COMFYUI(personData) {
+        return this._extractBODY18(personData);
+    }
+
+    /**
+     * Extract COCO-WholeBody format keypoints from person data
+     * Face and hands are part of the 133-keypoint pose array, so no separate parts are read
+     * @param {Object} personData - Person data from DWPose JSON
+     * @return {Object} skeletonData
+     */
+    async _extractCOCOWHOLEBODY(personData) {
+        return this._extractCOCO(personData, 'COCOWHOLEBODY', []);
+    }
+
+
+
+    /**
+     * Import keypoints for given part if present
+     * @param {Object<string, number[]>} personData - Person data from OpenPose JSON
+     * @param {string} partName - name of body parts: "pose_keypoints_2d", "face_keypoints_2d", "hand_left_keypoints_2d", "hand_right_keypoints_2d"
+     * @return {{positions: number[], confidences: (number|null)[]}} Keypoint positions, and confidences
+     *     (null for missing keypoints)
+     */
+    async _importCOCOPartKeypoints(personData, partName) {
+        const keypoints = personData[partName];
+        if (!keypoints) return {positions: [], confidences: []};
+        const numKeypoints = keypoints.length / 3
+        const positions = new Array(numKeypoints * 2).fill(null);
+        const confidences = new Array(numKeypoints).fill(null);
+        
+        for (let i = 0; i < numKeypoints; i++) {
+            const x = keypoints[i * 3];
+            const y = keypoints[i * 3 + 1];
+            const confidence = keypoints[i * 3 + 2];
+            
+            if (confidence > 0 && (x > 0 || y > 0)) {
+                positions[i * 2] = x;
+                positions[i * 2 + 1] = y;
+                confidences[i] = confidence;
+            } else {
+                positions[i * 2] = null;
+                positions[i * 2 + 1] = null;
+            }
+        }
+        return {positions, confidences};
+    }
+
+    /**
+     * Extract keypoints from a single OpenPose person data
+     * @param {Object<string, number[]>} personData - Person data from OpenPose JSON
+     * @param {string} targetFormat - Target format (BODY18, BODY25, etc.)
+     * @return {Object} skeletonData
+     */
+    async extractPerson(personData, targetFormat) {
+        // Call format-specific extraction function
+        switch (targetFormat) {
+            case 'BODY18':
+                return await this._extractBODY18(personData);
+            case 'BODY25':
+                return await this._extractBODY25(personData);
+            case 'BODY18COMFYUI':
+                return await this._extractBODY18COMFYUI(personData);
+            case 'COCOWHOLEBODY':
+                return await this._extractCOCOWHOLEBODY(personData);
+            case 'AP10K':
+                return await this._extractCOCO(personData, 'AP10K', []);
+
+            default:
+                if (this.isCustomFormat(targetFormat)) {
+                    return await this._extractCOCO(personData, targetFormat, []);
+                }
+                throw new Error(`Unsupported format for keypoint extraction: ${targetFormat}`);
+        }
+    }
+
+    /**
+     * Load OpenPose JSON data and convert to internal skeleton data format
+     * @param {Object|Object[]} openPoseJsonData - OpenPose JSON data
+     * @param {Object} [options]
+     * @param {Object|null} [options.pageSize] - {width, height} used to denormalize MediaPipe landmarks
+     *     when the file does not carry its image size
+     * @param {string|null} [options.asFormat] - Convert persons to this skeleton format (see conversion.js).
+     *     Animals are only converted to animal skeletons, and people to human ones
+     * @param {Object[]|null} [options.reports] - Receives the reports of persons that were converted
+     * @returns {Promise<Object[]>} Array of skeleton data objects (one per person)
+     */
+    async loadOpenPoseJsonToSkeletonData(openPoseJsonData, {pageSize=null, asFormat=null, reports=null}={}) {
+        const results = await this._loadOpenPoseJson(openPoseJsonData, pageSize);
+        if (!asFormat) return results;
+
+        const targetSkeletonData = await this.loadSkeletonData(asFormat);
+        return results.map(skeletonData => {
+            if (skeletonData.format === asFormat || isAnimalFormat(skeletonData.format) !== isAnimalFormat(asFormat)) {
+                return skeletonData;
+            }
+            const converted = convertSkeletonData(skeletonData, targetSkeletonData);
+            reports?.push(converted.report);
+            return converted.skeletonData;
+        });
+    }
+
+    /**
+     * Load OpenPose JSON data in the skeleton format of the file
+     * @param {Object|Object[]} openPoseJsonData - OpenPose JSON data
+     * @param {Object|null} pageSize - {width, height} fallback for MediaPipe landmarks
+     * @returns {Promise<Object[]>} Array of skeleton data objects
+     */
+    async _loadOpenPoseJson(openPoseJsonData, pageSize=null) {
+        try {
+            // Identify format; files of custom skeletons carry their format ID
+            const declaredFormat = (Array.isArray(openPoseJsonData) ? openPoseJsonData[0] : openPoseJsonData)?.format;
+            const formatInfo = this.isCustomFormat(declaredFormat)
+                ? {id: declaredFormat, develop: 'Custom skeleton', description: 'User-registered skeleton definition'}
+                : identifyPoseFormat(openPoseJsonData);
+            if (formatInfo.id === 'UNKNOWN') {
+                throw new Error('Unknown OpenPose JSON format - cannot identify structure');
+            }
+            
+            const targetFormat = formatInfo.id;
+            if (formatInfo === OpenPoseFormats.MEDIAPIPEPOSE || formatInfo === OpenPoseFormats.MEDIAPIPEHAND) {
+                return await this._loadMediaPipeLandmarks(openPoseJsonData, targetFormat, pageSize);
+            }
+            const results = [];
+            
+            // Handle array of canvas objects (ComfyUI multi-canvas format)
+            const canvases = Array.isArray(openPoseJsonData) ? openPoseJsonData : [openPoseJsonData];
+            let currentLayerId = 0;
+            
+            for (const canvas of canvases) {
+                // Get people from this canvas
+                const people = canvas.people || [];
+                let isNormalized = formatInfo === OpenPoseFormats.BODY18COMFYUI;
+                const canvasSize = (canvas.canvas_width && canvas.canvas_height)
+                    ? {width: canvas.canvas_width, height: canvas.canvas_height} : null;
+                // Normalized files are remembered, so they are exported back normalized
+                const addSkeleton = (skeletonData, personSourceData, normalized) => {
+                    skeletonData.layer_id = currentLayerId;
+                    skeletonData.sourceData = {
+                        person: personSourceData,
+                        canvas: structuredClone(omitKeys(canvas, OPENPOSE_CANVAS_KEYS)),
+                        normalized
+                    };
+                    skeletonData.canvasSize = canvasSize;
+                    results.push(skeletonData);
+                };
+                
+                for (const personData of people) {
+                    // Skip if this is a canvas object without person data
+                    if (!personData || !personData.pose_keypoints_2d) {
+                        continue;
+                    }
+                    
+                    // Extract person keypoints
+                    const skeletonData = await this.extractPerson(personData, targetFormat);
+                    isNormalized &&= skeletonData.positions.every(v => Math.abs(v) <= 1);
+                    if (isNormalized) {
+                        this._denormalizePositions(skeletonData, canvasSize);
+                    }
+                    addSkeleton(skeletonData, structuredClone(omitKeys(personData, OPENPOSE_PERSON_KEYS)), isNormalized);
+                }
+
+                // Animals of ControlNet's animal OpenPose: flat AP-10K keypoint arrays
+                for (const animal of canvas.animals || []) {
+                    if (!Array.isArray(animal) || animal.length === 0) continue;
+                    const skeletonData = await this.extractPerson({pose_keypoints_2d: animal}, 'AP10K');
+                    const isNormalizedAnimal = !!canvasSize && skeletonData.positions.every(v => Math.abs(v) <= 1);
+                    if (isNormalizedAnimal) {
+                        this._denormalizePositions(skeletonData, canvasSize);
+                    }
+                    addSkeleton(skeletonData, {}, isNormalizedAnimal);
+                }
+                currentLayerId++;
+            }
+            
+            if (results.length === 0) {
+                throw new Error('No valid person data found in OpenPose JSON');
+            }
+            
+            return results;
+            
+        } catch (error) {
+            throw new Error(`Failed to load OpenPose JSON data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Scale positions normalized to [0, 1] to the canvas size, in place
+     * @param {Object} skeletonData - Skeleton data with positions
+     * @param {{width: number, height: number}} canvasSize
+     */
+    _denormalizePositions(skeletonData, canvasSize) {
+        for (let i = 0; i < skeletonData.positions.length; i += 2) {
+            if (skeletonData.positions[i] !== null) {
+                skeletonData.positions[i] *= canvasSize.width;
+            }
+            if (skeletonData.positions[i + 1] !== null) {
+                skeletonData.positions[i + 1] *= canvasSize.height;
+            }
+        }
+    }
+
+    /**
+     * Convert MediaPipe landmark lists to skeleton data, one per detected pose or hand
+     * @param {Object} data - MediaPipe JSON data
+     * @param {string} format - MEDIAPIPEPOSE or MEDIAPIPEHAND
+     * @param {Object|null} pageSize - {width, height} fallback when the file has no image size
+     * @returns {Promise<Object[]>} Array of skeleton data objects
+     */
+    async _loadMediaPipeLandmarks(data, format, pageSize=null) {
+        const width = data.image_width ?? pageSize?.width;
+        const height = data.image_height ?? pageSize?.height;
+        if (!width || !height) {
+            throw new Error('MediaPipe landmarks are normalized - an image or page size is required');
+        }
+
+        const baseSkeletonData = await this.loadSkeletonData(format);
+        return getMediaPipeLandmarkLists(data).map(landmarks => {
+            const skeletonData = {
+                ...baseSkeletonData,
+                positions: new Array(baseSkeletonData.positions.length).fill(null),
+                hiddenKeypoints: [],
+                confidences: {},
+                layer_id: 0,
+                canvasSize: (data.image_width && data.image_height)
+                    ? {width: data.image_width, height: data.image_height} : null
+            };
+            baseSkeletonData.names.forEach((name, i) => {
+                const lm = landmarks[i];
+                if (!lm) return;
+                skeletonData.positions[i * 2] = lm.x * width;
+                skeletonData.positions[i * 2 + 1] = lm.y * height;
+                if (lm.visibility !== undefined) {
+                    skeletonData.confidences[name] = lm.visibility;
+                }
+                if ((lm.visibility ?? 1) < MEDIAPIPE_VISIBILITY_THRESHOLD) {
+                    skeletonData.hiddenKeypoints.push(name);
+                }
+            });
+            return skeletonData;
+        });
+    }
+
+    /**
+     * Check whether parsed JSON is a COCO keypoint annotation file
+     * @param {Object} data - The parsed JSON content.
+     * @returns {boolean}
+     */
+    static isCOCOAnnotationData(data) {
+        return !!data && !Array.isArray(data) && Array.isArray(data.annotations)
+            && (Array.isArray(data.images) || Array.isArray(data.categories));
+    }
+
+    /**
+     * Load a COCO keypoint annotation file and convert to internal skeleton data format
+     * @param {Object} cocoJson - COCO annotation data
+     * @returns {Promise<Object[]>} One entry per image: {imageId, fileName, width, height, people: skeletonData[]}
+     */
+    async loadCOCOAnnotationsToSkeletonData(cocoJson) {
+        try {
+            const categories = new Map((cocoJson.categories || []).map(category => [category.id, category]));
+            const images = new Map();
+            const getImage = (imageId) => {
+                if (!images.has(imageId)) {
+                    images.set(imageId, {imageId, fileName: null, width: null, height: null, people: []});
+                }
+                return images.get(imageId);
+            };
+            for (const image of cocoJson.images || []) {
+                Object.assign(getImage(image.id), {
+                    fileName: image.file_name ?? null,
+                    width: image.width ?? null,
+                    height: image.height ?? null
+                });
+            }
+
+            for (const annotation of cocoJson.annotations) {
+                if (!annotation.keypoints) continue;
+                const keypointNames = categories.get(annotation.category_id)?.keypoints || COCO_KEYPOINT_NAMES;
+                const skeletonData = await this._extractCOCOAnnotation(annotation, keypointNames);
+                getImage(annotation.image_id).people.push(skeletonData);
+            }
+
+            const results = [...images.values()].filter(image => image.people.length > 0);
+            if (results.length === 0) {
+                throw new Error('No keypoint annotations found in COCO file');
+            }
+            return results;
+        } catch (error) {
+            throw new Error(`Failed to load COCO annotations: ${error.message}`);
+        }
+    }
+
+    /**
+     * Extract one COCO annotation into skeleton data.
+     * Category keypoint names are matched to vertices through nameToIndex; COCO-WholeBody
+     * part arrays are read positionally in COCOWHOLEBODY order.
+     * Keypoints labeled as not visible (v=1) are listed in skeletonData.hiddenKeypoints.
+     * @param {Object} annotation - COCO annotation
+     * @param {string[]} keypointNames - Keypoint names of the annotation category
+     * @returns {Promise<Object>} skeletonData
+     */
+    async _extractCOCOAnnotation(annotation, keypointNames) {
+        let format, names;
+        let triplets = annotation.keypoints;
+        if (COCO_WHOLEBODY_PARTS.some(([key]) => annotation[key])) {
+            format = 'COCOWHOLEBODY';
+            names = (await this.loadSkeletonData(format)).names;
+            triplets = [...triplets.slice(0, COCO_KEYPOINT_NAMES.length * 3)];
+            for (const [key, count] of COCO_WHOLEBODY_PARTS) {
+                triplets.push(...(annotation[key] || new Array(count * 3).fill(0)));
+            }
+        } else {
+            names = keypointNames.map(cocoNameToVertexName);
+            format = await this._findFormatForVertexNames(names);
+        }
+
+        const baseSkeletonData = await this.loadSkeletonData(format);
+        const skeletonData = {
+            ...baseSkeletonData,
+            positions: new Array(baseSkeletonData.positions.length).fill(null),
+            hiddenKeypoints: []
+        };
+        names.forEach((name, i) => {
+            const [x, y, v] = triplets.slice(i * 3, i * 3 + 3);
+            const index = skeletonData.nameToIndex[name];
+            if (index === undefined || !(v > 0)) return;
+            skeletonData.positions[index * 2] = x;
+            skeletonData.positions[index * 2 + 1] = y;
+            if (v === 1) skeletonData.hiddenKeypoints.push(name);
+        });
+
+        // COCO has no neck; place it between the shoulders like OpenPose does
+        const neck = skeletonData.nameToIndex['Neck'];
+        if (neck !== undefined && skeletonData.positions[neck * 2] === null) {
+            const left = skeletonData.nameToIndex['LShoulder'];
+            const right = skeletonData.nameToIndex['RShoulder'];
+            if (skeletonData.positions[left * 2] !== null && skeletonData.positions[right * 2] !== null) {
+                skeletonData.positions[neck * 2] = (skeletonData.positions[left * 2] + skeletonData.positions[right * 2]) / 2;
+                skeletonData.positions[neck * 2 + 1] = (skeletonData.positions[left * 2 + 1] + skeletonData.positions[right * 2 + 1]) / 2;
+            }
+        }
+        return skeletonData;
+    }
+
+    /**
+     * Find the smallest skeleton that has every given vertex
+     * @param {string[]} names - Vertex names
+     * @returns {Promise<string>} Format ID
+     */
+    async _findFormatForVertexNames(names) {
+        for (const format of COCO_CANDIDATE_FORMATS) {
+            const skeletonData = await this.loadSkeletonData(format);
+            if (skeletonData && names.every(name => name in skeletonData.nameToIndex)) {
+                return format;
+            }
+        }
+        throw new Error(`No skeleton matches COCO keypoints: ${names.join(', ')}`);
+    }
+
+    /**
+     * Export persons as a COCO keypoint annotation file
+     * @param {Object[]} images - One entry per image: {fileName, width, height, persons: Person[]}
+     * @returns {Promise<Object>} COCO JSON
+     */
+    async exportPersonsAsCOCO(images) {
+        const cocoJson = {
+            images: [],
+            annotations: [],
+            categories: [{
+                id: 1,
+                name: 'person',
+                supercategory: 'person',
+                keypoints: [...COCO_KEYPOINT_NAMES],
+                skeleton: COCO_SKELETON.map(edge => [...edge])
+            }]
+        };
+
+        let annotationId = 1;
+        for (const [i, image] of images.entries()) {
+            const imageId = i + 1;
+            cocoJson.images.push({
+                id: imageId,
+                file_name: image.fileName,
+                width: image.width,
+                height: image.height
+            });
+            for (const person of image.persons) {
+                const annotation = await this.createCOCOAnnotation(person);
+                cocoJson.annotations.push({id: annotationId++, image_id: imageId, category_id: 1, ...annotation});
+            }
+        }
+        return cocoJson;
+    }
+
+    /**
+     * Create a COCO annotation for a person.
+     * Every skeleton is written with the 17 COCO person keypoints; COCOWHOLEBODY persons
+     * also get the COCO-WholeBody part arrays.
+     * @param {Person} person - Person entity
+     * @returns {Promise<Object>} Annotation without ids
+     */
+    async createCOCOAnnotation(person) {
+        const skeletonData = await this.loadSkeletonData(person.format);
+        const bodyNames = COCO_KEYPOINT_NAMES.map(cocoNameToVertexName);
+        const missing = bodyNames.filter(name => !(name in skeletonData.nameToIndex));
+        if (missing.length > 0) {
+            throw new Error(`Cannot export ${person.name} (${person.format}) as COCO. Missing: ${missing.join(', ')}`);
+        }
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const toTriplets = (names) => names.flatMap(name => {
+            const kp = person.keypointsDict[name];
+            const pos = kp?.getPosition();
+            if (!pos) return [0, 0, 0];
+            minX = Math.min(minX, pos.x);
+            minY = Math.min(minY, pos.y);
+            maxX = Math.max(maxX, pos.x);
+            maxY = Math.max(maxY, pos.y);
+            return [pos.x, pos.y, kp.getVisible() ? 2 : 1];
+        });
+
+        const annotation = {keypoints: toTriplets(bodyNames)};
+        annotation.num_keypoints = bodyNames.filter((_, i) => annotation.keypoints[i * 3 + 2] > 0).length;
+        if (person.format === 'COCOWHOLEBODY') {
+            let offset = COCO_KEYPOINT_NAMES.length;
+            for (const [key, count] of COCO_WHOLEBODY_PARTS) {
+                annotation[key] = toTriplets(skeletonData.names.slice(offset, offset + count));
+                offset += count;
+            }
+        }
+
+        const bbox = minX <= maxX ? [minX, minY, maxX - minX, maxY - minY] : [0, 0, 0, 0];
+        annotation.bbox = bbox;
+        annotation.area = bbox[2] * bbox[3];
+        annotation.iscrowd = 0;
+        return annotation;
+    }
+
+    /**
+     * Distinguishes specific OpenPose flavor.
+     * @param {Object} data - The parsed JSON content.
+     * @returns {Object} - Returns (format, develop, description) from Enum.
+     */
+    static identifyPoseFormat(data) {identifyPoseFormat(data)};
+
+    static _getLimbMap(limbData) {
+        const pathDict = {};
+
+        // 1. Identify every node that is "pointed to"
+        // We must track exactly what strings are used as children.
+        const pointedTo = new Set();
+        for (const key in limbData) {
+            const children = limbData[key];
+            for (let i = 0; i < children.length; i++) {
+                pointedTo.add(children[i]);
+            }
+        }
+
+        // 2. Identify Roots
+        // A key is a root ONLY if neither its exact name nor its symbolic name 
+        // (with or without dot) appears in the pointedTo set.
+        const roots = Object.keys(limbData).filter(key => {
+            const altKey = key.startsWith('.') ? key.slice(1) : '.' + key;
+            return !pointedTo.has(key) && !pointedTo.has(altKey);
+        });
+
+        // 3. Recursive Traversal
+        const traverse = (nodeName, currentPath) => {
+            // Use your lookup logic: Exact match, or strip the dot
+            let lookupKey = nodeName;
+            if (!Object.hasOwn(limbData, lookupKey) && lookupKey.startsWith('.')) {
+                lookupKey = lookupKey.slice(1);
+            }
+
+            const children = limbData[lookupKey];
+
+            if (children) {
+                // BRANCH: Continue down. Basename cannot be symbolic, so strip dot.
+                for (let i = 0; i < children.length; i++) {
+                    const child = children[i];
+                    const segment = child.startsWith('.') ? child.slice(1) : child;
+                    traverse(child, `${currentPath}/${segment}`);
+                }
+            } else {
+                // LEAF: Face_0, RHand_5, etc.
+                // These are the keys in your final pathDict.
+                if (!pathDict[nodeName]) pathDict[nodeName] = [];
+                pathDict[nodeName].push(currentPath);
+            }
+        };
+
+        // 4. Start from True Roots
+        for (let i = 0; i < roots.length; i++) {
+            const root = roots[i];
+            const rootName = root.startsWith('.') ? root.slice(1) : root;
+            traverse(root, `/${rootName}`);
+        }
+
+        return pathDict;
+    }
+
+    async buildLimbMap(formatId) {
+        try {
+            const data = await this.loadSkeletonJson(formatId);
+            return SkeletonDataAccess._getLimbMap(data.limbs);
+        } catch (error) {
+            console.error('Error loading limbMap data:', error);
+        }
+    }
+
+}
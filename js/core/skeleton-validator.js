@@ -0,0 +1,181 @@
+/**
+ * Validation of skeleton definitions (the schema of data/*.json).
+ * Errors are problems SkeletonDataAccess.processData cannot handle (they would end up as
+ * undefined indices); warnings are cosmetic, e.g. ControlNet colors falling back to white.
+ */
+
+/**
+ * Limb key referenced by a symbolic name: `.Head` refers to the `.Head` limb, or else to `Head`
+ * (same lookup as SkeletonDataAccess._resolveLimbs)
+ */
+function resolveLimbKey(limbs, name) {
+    if (Object.hasOwn(limbs, name)) return name;
+    const plainName = name.slice(1);
+    return Object.hasOwn(limbs, plainName) ? plainName : null;
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the shape of the top-level fields
+ * @returns {string[]} errors
+ */
+function validateSchema(definition) {
+    const errors = [];
+    if (typeof definition.format !== 'string' || definition.format === '') {
+        errors.push('"format" must be a non-empty string');
+    }
+    if (!isPlainObject(definition.vertices) || Object.keys(definition.vertices).length === 0) {
+        errors.push('"vertices" must be an object of {name: [x, y]}');
+    } else {
+        for (const [name, pos] of Object.entries(definition.vertices)) {
+            if (!Array.isArray(pos) || pos.length !== 2 || !pos.every(Number.isFinite)) {
+                errors.push(`Vertex ${name}: position must be [x, y], got ${JSON.stringify(pos)}`);
+            }
+        }
+        if (Object.keys(definition.vertices).length > 256) {
+            errors.push(`${Object.keys(definition.vertices).length} vertices: at most 256 are supported`);
+        }
+    }
+    if (!Array.isArray(definition.edges)) {
+        errors.push('"edges" must be an array of [start, end] vertex names');
+    }
+    if (!isPlainObject(definition.limbs)) {
+        errors.push('"limbs" must be an object of {limb: [vertex or .limb names]}');
+    } else {
+        for (const [limb, members] of Object.entries(definition.limbs)) {
+            if (!Array.isArray(members) || !members.every(name => typeof name === 'string')) {
+                errors.push(`Limb ${limb}: must be an array of names`);
+            }
+        }
+    }
+    return errors;
+}
+
+function validateEdges(definition, errors, warnings) {
+    const seen = new Set();
+    definition.edges.forEach((edge, i) => {
+        if (!Array.isArray(edge) || edge.length !== 2) {
+            errors.push(`Edge #${i}: must be [start, end], got ${JSON.stringify(edge)}`);
+            return;
+        }
+        const unknown = edge.filter(name => !Object.hasOwn(definition.vertices, name));
+        if (unknown.length > 0) {
+            errors.push(`Edge ${edge.join(' - ')}: unknown vertex ${unknown.join(', ')}`);
+        }
+        const [start, end] = edge;
+        if (start === end) {
+            warnings.push(`Edge ${start} - ${end}: connects a vertex to itself`);
+        }
+        if (seen.has(`${start}To${end}`) || seen.has(`${end}To${start}`)) {
+            warnings.push(`Edge ${start} - ${end}: duplicated`);
+        }
+        seen.add(`${start}To${end}`);
+    });
+}
+
+/**
+ * Every limb member must be a vertex or resolve to a limb, without cycles
+ * @returns {boolean} Whether the limb graph can be traversed
+ */
+function validateLimbs(definition, errors) {
+    const { limbs, vertices } = definition;
+    let traversable = true;
+
+    for (const [limb, members] of Object.entries(limbs)) {
+        for (const name of members) {
+            if (name.startsWith('.')) {
+                if (resolveLimbKey(limbs, name) === null) {
+                    errors.push(`Limb ${limb}: unknown limb ${name}`);
+                    traversable = false;
+                }
+            } else if (!Object.hasOwn(vertices, name)) {
+                const hint = Object.hasOwn(limbs, name) || Object.hasOwn(limbs, `.${name}`)
+                    ? ` (use ".${name}" to include a limb)` : '';
+                errors.push(`Limb ${limb}: unknown vertex ${name}${hint}`);
+            }
+        }
+    }
+    if (!traversable) return false;
+
+    // Depth-first search for symbolic references leading back to a limb being resolved
+    const state = new Map(); // limb key -> 'visiting' | 'done'
+    const visit = (key, path) => {
+        if (state.get(key) === 'done') return;
+        if (state.get(key) === 'visiting') {
+            errors.push(`Limbs reference each other in a cycle: ${[...path.slice(path.indexOf(key)), key].join(' → ')}`);
+            traversable = false;
+            return;
+        }
+        state.set(key, 'visiting');
+        for (const name of limbs[key]) {
+            if (name.startsWith('.')) visit(resolveLimbKey(limbs, name), [...path, key]);
+        }
+        state.set(key, 'done');
+    };
+    Object.keys(limbs).forEach(key => visit(key, []));
+    return traversable;
+}
+
+/**
+ * Every vertex must be reachable from a root limb, or limb search and part toggles cannot find it
+ */
+function validateReachability(definition, errors, getLimbMap) {
+    const limbMap = getLimbMap(definition.limbs);
+    const unreachable = Object.keys(definition.vertices).filter(name => !limbMap[name]);
+    if (unreachable.length > 0) {
+        errors.push(`Vertices not reachable from any limb: ${unreachable.join(', ')}`);
+    }
+}
+
+function validateControlnet(definition, warnings) {
+    const controlnet = definition.controlnet;
+    if (!controlnet) {
+        warnings.push('No "controlnet" section: WYSIWYG view and rendering use the BODY18 colors');
+        return;
+    }
+    const keypointColors = controlnet.keypoint_colors ?? {};
+    const boneColors = controlnet.bone_colors ?? {};
+    const boneNames = definition.edges.filter(edge => Array.isArray(edge)).map(([start, end]) => `${start}To${end}`);
+
+    const uncoloredKeypoints = Object.keys(definition.vertices).filter(name => !keypointColors[name]);
+    const uncoloredBones = boneNames.filter(name => !boneColors[name]);
+    if (uncoloredKeypoints.length > 0) {
+        warnings.push(`controlnet.keypoint_colors misses: ${uncoloredKeypoints.join(', ')}`);
+    }
+    if (uncoloredBones.length > 0) {
+        warnings.push(`controlnet.bone_colors misses: ${uncoloredBones.join(', ')}`);
+    }
+
+    const unknownKeypoints = Object.keys(keypointColors).filter(name => !Object.hasOwn(definition.vertices, name));
+    const unknownBones = Object.keys(boneColors).filter(name => !boneNames.includes(name));
+    if (unknownKeypoints.length > 0) {
+        warnings.push(`controlnet.keypoint_colors has unknown vertices: ${unknownKeypoints.join(', ')}`);
+    }
+    if (unknownBones.length > 0) {
+        warnings.push(`controlnet.bone_colors has unknown bones: ${unknownBones.join(', ')}`);
+    }
+}
+
+/**
+ * Validate a skeleton definition
+ * @param {Object} definition - Raw JSON definition
+ * @param {(limbs: Object) => Object<string, string[]>} getLimbMap - Limb path lookup,
+ *     SkeletonDataAccess._getLimbMap
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function validateSkeletonDefinition(definition, getLimbMap) {
+    if (!isPlainObject(definition)) {
+        return {errors: ['A skeleton definition must be a JSON object'], warnings: []};
+    }
+    const errors = validateSchema(definition);
+    const warnings = [];
+    if (errors.length > 0) return {errors, warnings};
+
+    validateEdges(definition, errors, warnings);
+    if (validateLimbs(definition, errors)) {
+        validateReachability(definition, errors, getLimbMap);
+    }
+    validateControlnet(definition, warnings);
+    return {errors, warnings};
+}
@@ -0,0 +1,173 @@
+/**
+ * Left/right symmetry of skeletons: counterpart keypoints (LShoulder ↔ RShoulder, LHand_3 ↔ RHand_3,
+ * face contour points) and mirroring of poses that keeps them anatomically labelled.
+ * Like transforms.js, works on anything exposing a `keypointsDict` (core Pose or editor Person).
+ */
+import { getBounds, scaling, transformPoint } from './transforms.js';
+
+/**
+ * Mirrored index of each point of the 68-point face model (iBUG 300-W, used by OpenPose and
+ * COCO-WholeBody), plus the two pupils of the OpenPose 70-point face
+ */
+const FACE_MIRROR_INDICES = Object.freeze([
+    // Jaw line
+    16, 15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0,
+    // Eyebrows
+    26, 25, 24, 23, 22, 21, 20, 19, 18, 17,
+    // Nose bridge, then nostrils
+    27, 28, 29, 30, 35, 34, 33, 32, 31,
+    // Eyes
+    45, 44, 43, 42, 47, 46, 39, 38, 37, 36, 41, 40,
+    // Outer lips
+    54, 53, 52, 51, 50, 49, 48, 59, 58, 57, 56, 55,
+    // Inner lips
+    64, 63, 62, 61, 60, 67, 66, 65,
+    // Pupils
+    69, 68
+]);
+
+const SIDE_PREFIXES = [['L', 'R'], ['Left', 'Right']];
+
+/**
+ * Name of the keypoint on the other side of the body
+ * @param {string} name - Vertex name
+ * @param {Set<string>} names - Vertex names of the skeleton
+ * @returns {string|null} Counterpart, or null for keypoints on the body's midline
+ */
+export function getMirrorName(name, names) {
+    for (const [left, right] of SIDE_PREFIXES) {
+        // The prefix must start a new word: LShoulder, LHand_3, but not Lip
+        for (const [from, to] of [[left, right], [right, left]]) {
+            if (name.startsWith(from) && /^[A-Z_]/.test(name.slice(from.length))) {
+                const counterpart = to + name.slice(from.length);
+                if (names.has(counterpart)) return counterpart;
+            }
+        }
+    }
+
+    const face = /^Face_(\d+)$/.exec(name);
+    if (face && names.has('Face_67')) {
+        const counterpart = `Face_${FACE_MIRROR_INDICES[Number(face[1])]}`;
+        if (counterpart !== name && names.has(counterpart)) return counterpart;
+    }
+    return null;
+}
+
+/**
+ * Counterparts of all the keypoints of a skeleton that have one
+ * @param {Iterable<string>} names - Vertex names
+ * @returns {Object<string, string>} Counterpart by name, for both sides
+ */
+export function getMirrorMap(names) {
+    const nameSet = new Set(names);
+    const mirrorMap = {};
+    for (const name of nameSet) {
+        const counterpart = getMirrorName(name, nameSet);
+        if (counterpart !== null) mirrorMap[name] = counterpart;
+    }
+    return mirrorMap;
+}
+
+/**
+ * Reflection about a vertical (horizontal flip) or horizontal (vertical flip) line through a point
+ * @param {'horizontal'|'vertical'} axis - Flip direction
+ * @param {{x: number, y: number}} center - Point on the mirror line
+ * @returns {number[]} Affine matrix
+ */
+export function mirroring(axis, center) {
+    if (axis !== 'horizontal' && axis !== 'vertical') {
+        throw new Error(`Unknown flip direction "${axis}"`);
+    }
+    return axis === 'horizontal' ? scaling(-1, 1, center) : scaling(1, -1, center);
+}
+
+/**
+ * Center of the bounding box of the placed keypoints of poses
+ * @param {{keypointsDict: Object}[]} poses - Poses or Persons
+ * @returns {{x: number, y: number}}
+ */
+export function getPosesCenter(poses) {
+    const positions = [];
+    for (const pose of poses) {
+        for (const kp of Object.values(pose.keypointsDict)) {
+            const pos = kp.getPosition();
+            if (pos) positions.push(pos.x, pos.y);
+        }
+    }
+    const { minX, minY, width, height } = getBounds(positions);
+    return {x: minX + width / 2, y: minY + height / 2};
+}
+
+/**
+ * Midpoint of two keypoints, if both are placed
+ * @returns {{x: number, y: number}|null}
+ */
+function midpoint(keypointsDict, first, second) {
+    const a = keypointsDict[first]?.getPosition();
+    const b = keypointsDict[second]?.getPosition();
+    return a && b ? {x: (a.x + b.x) / 2, y: (a.y + b.y) / 2} : null;
+}
+
+/**
+ * Symmetry axis of a pose: its spine, from the neck (or between the shoulders) to the mid-hip
+ * (or between the hips, or the tail root of animals). Poses without a spine use the vertical
+ * line through their center.
+ * @param {{keypointsDict: Object}} pose - Pose or Person
+ * @returns {{origin: {x: number, y: number}, direction: {x: number, y: number}}} Line through
+ *     `origin` along the unit vector `direction`
+ */
+export function getSpineAxis(pose) {
+    const dict = pose.keypointsDict;
+    const top = dict.Neck?.getPosition() ?? midpoint(dict, 'LShoulder', 'RShoulder');
+    const bottom = dict.MidHip?.getPosition() ?? midpoint(dict, 'LHip', 'RHip') ?? dict.TailRoot?.getPosition() ?? null;
+    if (top && bottom) {
+        const length = Math.hypot(bottom.x - top.x, bottom.y - top.y);
+        if (length > 0) {
+            return {origin: top, direction: {x: (bottom.x - top.x) / length, y: (bottom.y - top.y) / length}};
+        }
+    }
+    return {origin: getPosesCenter([pose]), direction: {x: 0, y: 1}};
+}
+
+/**
+ * Reflect a point across a line
+ * @param {{x: number, y: number}} point
+ * @param {{origin: {x: number, y: number}, direction: {x: number, y: number}}} axis - Line, as
+ *     returned by getSpineAxis
+ * @returns {{x: number, y: number}}
+ */
+export function reflectAcross(point, {origin, direction}) {
+    const dx = point.x - origin.x;
+    const dy = point.y - origin.y;
+    const along = dx * direction.x + dy * direction.y;
+    return {
+        x: origin.x + 2 * along * direction.x - dx,
+        y: origin.y + 2 * along * direction.y - dy
+    };
+}
+
+/**
+ * Mirror a pose in place. Each keypoint takes the mirrored position (and detection confidence)
+ * of its counterpart, so the left arm of the result is still labelled left.
+ * @param {{keypointsDict: Object}} pose - Pose or Person
+ * @param {'horizontal'|'vertical'} [axis] - Flip direction
+ * @param {{x: number, y: number}|null} [center] - Point on the mirror line (default: center of the pose)
+ */
+export function mirrorPose(pose, axis = 'horizontal', center = null) {
+    const matrix = mirroring(axis, center ?? getPosesCenter([pose]));
+    const mirrorMap = getMirrorMap(Object.keys(pose.keypointsDict));
+
+    // Read everything first: counterparts are swapped
+    const updates = Object.entries(pose.keypointsDict).map(([name, kp]) => {
+        const pos = kp.getPosition();
+        return {
+            keypoint: pose.keypointsDict[mirrorMap[name] ?? name],
+            position: pos ? transformPoint(pos, matrix) : null,
+            confidence: kp.getConfidence?.() ?? null
+        };
+    });
+    for (const {keypoint, position, confidence} of updates) {
+        keypoint.setPosition(position);
+        if (confidence !== null) keypoint.setConfidence(confidence);
+    }
+}
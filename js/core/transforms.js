@@ -0,0 +1,146 @@
+/**
+ * Geometric transforms of poses.
+ * Work on flat [x, y, x, y...] position arrays (skeleton data layout, null marks a missing vertex)
+ * and on anything exposing a `keypointsDict` of keypoints with getPosition/setPosition,
+ * i.e. the core Pose as well as the editor's Person.
+ *
+ * Matrices are 2D affine transforms [a, b, c, d, e, f] in the Canvas 2D convention:
+ * x' = a*x + c*y + e, y' = b*x + d*y + f
+ */
+
+export const IDENTITY = Object.freeze([1, 0, 0, 1, 0, 0]);
+
+/**
+ * Bounding box of the non-missing vertices
+ * @param {Array<number|null>} positions - Vertex positions [x, y, x, y...]
+ * @returns {Object} Bounds {minX, minY, width, height}
+ */
+export function getBounds(positions) {
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+
+    for (let i = 0; i < positions.length; i += 2) {
+        const x = positions[i];
+        const y = positions[i + 1];
+        if (x === null || y === null) continue;
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+    }
+
+    // Handle empty case
+    if (minX === Infinity) return { minX: 0, minY: 0, width: 0, height: 0 };
+
+    return { minX, minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Map a point from its natural bounds into a target box
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} naturalBounds - {minX, minY, width, height}
+ * @param {Object} bbox - Target bounds {x, y, width, height}
+ * @returns {{x: number, y: number}}
+ */
+export function fitToBBox(x, y, naturalBounds, bbox) {
+    const scaleX = naturalBounds.width ? bbox.width / naturalBounds.width : 1;
+    const scaleY = naturalBounds.height ? bbox.height / naturalBounds.height : 1;
+    return {
+        x: bbox.x + (x - naturalBounds.minX) * scaleX,
+        y: bbox.y + (y - naturalBounds.minY) * scaleY
+    };
+}
+
+export function translation(dx, dy) {
+    return [1, 0, 0, 1, dx, dy];
+}
+
+/**
+ * @param {number} sx
+ * @param {number} sy
+ * @param {{x: number, y: number}} [origin] - Fixed point of the scaling
+ */
+export function scaling(sx, sy = sx, origin = {x: 0, y: 0}) {
+    return [sx, 0, 0, sy, origin.x * (1 - sx), origin.y * (1 - sy)];
+}
+
+/**
+ * @param {number} angle - Clockwise angle in radians (y axis points down)
+ * @param {{x: number, y: number}} [origin] - Center of the rotation
+ */
+export function rotation(angle, origin = {x: 0, y: 0}) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [
+        cos, sin, -sin, cos,
+        origin.x - cos * origin.x + sin * origin.y,
+        origin.y - sin * origin.x - cos * origin.y
+    ];
+}
+
+/**
+ * Compose transforms: the result applies `second` after `first`
+ * @param {number[]} first
+ * @param {number[]} second
+ * @returns {number[]}
+ */
+export function compose(first, second) {
+    const [a1, b1, c1, d1, e1, f1] = first;
+    const [a2, b2, c2, d2, e2, f2] = second;
+    return [
+        a2 * a1 + c2 * b1,
+        b2 * a1 + d2 * b1,
+        a2 * c1 + c2 * d1,
+        b2 * c1 + d2 * d1,
+        a2 * e1 + c2 * f1 + e2,
+        b2 * e1 + d2 * f1 + f2
+    ];
+}
+
+/**
+ * @param {{x: number, y: number}} point
+ * @param {number[]} matrix
+ * @returns {{x: number, y: number}}
+ */
+export function transformPoint(point, matrix) {
+    const [a, b, c, d, e, f] = matrix;
+    return {
+        x: a * point.x + c * point.y + e,
+        y: b * point.x + d * point.y + f
+    };
+}
+
+/**
+ * Transform flat vertex positions, keeping missing vertices missing
+ * @param {Array<number|null>} positions - Vertex positions [x, y, x, y...]
+ * @param {number[]} matrix
+ * @returns {Array<number|null>} New positions
+ */
+export function transformPositions(positions, matrix) {
+    const result = new Array(positions.length);
+    for (let i = 0; i < positions.length; i += 2) {
+        if (positions[i] === null || positions[i + 1] === null) {
+            result[i] = result[i + 1] = null;
+            continue;
+        }
+        const {x, y} = transformPoint({x: positions[i], y: positions[i + 1]}, matrix);
+        result[i] = x;
+        result[i + 1] = y;
+    }
+    return result;
+}
+
+/**
+ * Transform every placed keypoint of a pose in place
+ * @param {{keypointsDict: Object}} pose - Pose or Person
+ * @param {number[]} matrix
+ */
+export function transformPose(pose, matrix) {
+    for (const kp of Object.values(pose.keypointsDict)) {
+        const pos = kp.getPosition();
+        if (pos) {
+            kp.setPosition(transformPoint(pos, matrix));
+        }
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Minimal zip archive writer. Entries are stored without compression, which suits
+ * already-compressed content such as PNG images and keeps the writer dependency-free.
+ */
+import { crc32 } from './crc32.js';
+
+/**
+ * Date and time of an entry in MS-DOS format
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Create a zip archive
+ * @param {{name: string, data: Uint8Array|string}[]} files - Entries; strings are written as UTF-8
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Modification date of the entries
+ * @returns {Uint8Array} Zip file
+ */
+export function createZip(files, {date=new Date()}={}) {
+    const encoder = new TextEncoder();
+    const dosDateTime = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034B50, true); // Local file header signature
+        localView.setUint16(4, 20, true); // Version needed to extract (2.0)
+        localView.setUint16(6, 0x0800, true); // UTF-8 file names
+        localView.setUint16(8, 0, true); // Stored
+        localView.setUint16(10, dosDateTime.time, true);
+        localView.setUint16(12, dosDateTime.date, true);
+        localView.setUint32(14, crc, true);
+        localView.setUint32(18, data.length, true); // Compressed size
+        localView.setUint32(22, data.length, true); // Uncompressed size
+        localView.setUint16(26, name.length, true);
+        local.set(name, 30);
+
+        const central = new Uint8Array(46 + name.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, 0x02014B50, true); // Central directory header signature
+        centralView.setUint16(4, 20, true); // Version made by
+        centralView.setUint16(6, 20, true); // Version needed to extract
+        centralView.setUint16(8, 0x0800, true);
+        centralView.setUint16(10, 0, true);
+        centralView.setUint16(12, dosDateTime.time, true);
+        centralView.setUint16(14, dosDateTime.date, true);
+        centralView.setUint32(16, crc, true);
+        centralView.setUint32(20, data.length, true);
+        centralView.setUint32(24, data.length, true);
+        centralView.setUint16(28, name.length, true);
+        centralView.setUint32(42, offset, true); // Offset of the local header
+        central.set(name, 46);
+
+        localParts.push(local, data);
+        centralParts.push(central);
+        offset += local.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054B50, true); // End of central directory signature
+    endView.setUint16(8, files.length, true); // Entries on this disk
+    endView.setUint16(10, files.length, true); // Total entries
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true); // Offset of the central directory
+
+    const parts = [...localParts, ...centralParts, end];
+    const zip = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
@@ -285,12 +285,35 @@ export class Keypoint extends Entity {
         super(name, parent);
         this._position = (x !== null && y !== null) ? { x, y } : null;
         this._radius = 9;
+        /** @type {number|null} Detection confidence from the imported file, null once edited */
+        this._confidence = null;
         this.shape = null; // Will store the Konva Point
     }
     
     getPosition() {
         return this._position ? { ...this._position } : null;
     }
+
+    getConfidence() {
+        return this._confidence;
+    }
+
+    setConfidence(/** @type {number|null} */ confidence, updateShape = true) {
+        this._confidence = confidence;
+        this.changeState(true);
+        if (updateShape && this.shape) {
+            this.shape.opacity(this.getDisplayOpacity());
+        }
+    }
+
+    /**
+     * Shape opacity: the entity alpha, faded for low-confidence keypoints
+     * @returns {number}
+     */
+    getDisplayOpacity() {
+        const alpha = this.getAlpha() ?? 1;
+        return this._confidence === null ? alpha : alpha * (0.25 + 0.75 * this._confidence);
+    }
     
     _setPosition(pos, updateShape = true) {
         if (pos && (pos.x === null || pos.y === null)) {
@@ -308,6 +331,10 @@ export class Keypoint extends Entity {
     }
     
     setPosition(pos, updateShape = true) {
+        // A moved keypoint is no longer the detected one
+        if (this._confidence !== null) {
+            this.setConfidence(null, updateShape);
+        }
         super.setPosition(pos, updateShape);
         if (updateShape) {
             this._updateConnectedBones();
@@ -338,6 +365,7 @@ export class Keypoint extends Entity {
                 fill: this.getFillColor(),
                 radius: this._radius,
                 stroke: this.getStrokeColor(),
+                opacity: this.getDisplayOpacity(),
                 draggable: true
             });
             this.shape.setAttr('entity', this);
@@ -364,6 +392,9 @@ export class Keypoint extends Entity {
                 // console.log(`Dragging Keypoint "${this.name}" from (${this.getPosition().x}, ${this.getPosition().y}) to (${pos.x}, ${pos.y})`);
                 this._position = pos;
                 this.changeState(true);
+                if (this._confidence !== null) {
+                    this.setConfidence(null);
+                }
             }
         );
     }
@@ -864,12 +895,13 @@ export class DistortableImage extends Drawable {
             if (allowCrossOrigin) {
                 img.crossOrigin = 'anonymous';
             }
-            img.onload = () => {
+            img.onload = async () => {
                 this.imageNaturalSize = { width: img.naturalWidth, height: img.naturalHeight };
                 console.log(`Image natural size: ${this.imageNaturalSize.width}x${this.imageNaturalSize.height}`);
                 const imageSize = { ... this.constrainedImageSize? this.constrainedImageSize : this.imageNaturalSize };
                 console.log(`Loaded image size: ${imageSize.width}x${imageSize.height}`);
-                this.resetPose({width: imageSize.width, height: imageSize.height}); // Rebuild skeleton to fit image
+                // Rebuild skeleton to fit image before resolving, so callers can safely reposition corners
+                await this.resetPose({width: imageSize.width, height: imageSize.height});
                 resolve(img);
             };
             img.onerror = (_) => {
@@ -989,9 +1021,13 @@ export class DistortableImage extends Drawable {
 export class Person extends Drawable {
     constructor(name, cx, cy, width=null, height=null, parent=null, format='BODY18') {
         super(name, cx, cy, width, height, parent, format);
+        /** @type {{person: Object, canvas: Object}|null} Fields of the imported file written back on export */
+        this.sourceData = null;
     }
     
     getPosition() {
+        // Skeletons without a neck (COCO-WholeBody, MediaPipe) use their first keypoint
+        if (!('Neck' in this.keypointsDict)) return super.getPosition();
         return this.keypointsDict['Neck']?.getPosition();
     }
 }
@@ -1043,7 +1079,7 @@ export class Scene extends Entity {
         return this.drawables.filter(d => d instanceof DistortableImage);
     }
 
-    async addPerson(bbox, personData=null, {strokeColor=null, fillColor='white', format='BODY18'}={}) {
+    async addPerson(bbox, personData=null, {strokeColor=null, fillColor='white', format='BODY18', sourceData=null}={}) {
         const personNum = this.persons.length + 1;
         this.lockStateChange();
         const person = await Person.create(
@@ -1062,6 +1098,7 @@ export class Scene extends Entity {
         }
         person.setStrokeColor(strokeColor);
         person.setFillColor(fillColor);
+        person.sourceData = sourceData;
         this.unlockStateChange();
         person.changeState(true);
         return person;
@@ -818,6 +818,16 @@ export class ObjectInspector {
             if (xInput && document.activeElement !== xInput) xInput.value = '';
             if (yInput && document.activeElement !== yInput) yInput.value = '';
         }
+
+        // Moving a keypoint clears its confidence
+        const confidenceInput = this.attributesContainer.querySelector('.entity-section .confidence-input');
+        if (confidenceInput && firstEntity instanceof Keypoint && document.activeElement !== confidenceInput) {
+            confidenceInput.value = this.formatConfidence(firstEntity.getConfidence());
+        }
+    }
+
+    formatConfidence(confidence) {
+        return confidence === null ? '' : Number(confidence.toFixed(3));
     }
 
     createAttributeRow(label, value, onChange, type='text') {
@@ -914,6 +924,22 @@ export class ObjectInspector {
         xInput.onchange = update;
         yInput.onchange = update;
 
+        // Confidence of keypoints; empty means none (exported as 1.0)
+        const confidenceRow = section.querySelector('.confidence-row');
+        const confidenceInput = section.querySelector('.confidence-input');
+        if (firstEntity instanceof Keypoint) {
+            confidenceInput.value = this.formatConfidence(firstEntity.getConfidence());
+            confidenceInput.onchange = () => {
+                const value = parseFloat(confidenceInput.value);
+                const confidence = isNaN(value) ? null : Math.min(Math.max(value, 0), 1);
+                confidenceInput.value = this.formatConfidence(confidence);
+                firstEntity.setConfidence(confidence);
+                this.canvasManager.stage.draw();
+            };
+        } else {
+            confidenceRow.remove();
+        }
+
         this.attributesContainer.appendChild(section);
     }
 
@@ -0,0 +1,385 @@
+import { DistortableImage, Keypoint, Person } from './entities.js';
+import { dataAccessManager } from './openpose-probe.js';
+
+export const PROJECT_FILE_TYPE = 'openpose-canvas-project';
+export const PROJECT_FILE_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = 'opcanvas';
+
+/**
+ * Native project format (.opcanvas)
+ * A single JSON document holding page size, layers and every drawable with its
+ * per-entity state. Reference images are embedded as data URLs so the file is self-contained.
+ */
+export class ProjectManager {
+    /**
+     * @param {import("./canvas").CanvasManager} canvasManager
+     */
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.canvasManager.setProjectManager(this);
+        /** @type {Map<string, string>} imagePath -> data URL */
+        this.imageDataCache = new Map();
+    }
+
+    // ====================
+    // SERIALIZATION
+    // ====================
+
+    /**
+     * Serialize the whole scene
+     * @returns {Promise<Object>} Project document
+     */
+    async serialize() {
+        const cm = this.canvasManager;
+        const layers = [];
+
+        for (const layer of cm.getLayers()) {
+            const drawables = [];
+            for (const drawable of cm.scene.drawables) {
+                if (drawable._layer !== layer) continue;
+                drawables.push(await this.serializeDrawable(drawable));
+            }
+            layers.push({
+                id: layer.id(),
+                name: layer.name(),
+                visible: layer.visible(),
+                locked: !!layer.getAttr('locked'),
+                canvasSize: layer.getAttr('canvasSize') ?? null,
+                drawables
+            });
+        }
+
+        // Custom skeletons travel with the project so it opens on other machines
+        const registry = cm.skeletonRegistryManager;
+        const skeletons = [...new Set(cm.scene.persons.map(person => person.format))]
+            .map(formatId => registry?.getDefinition(formatId))
+            .filter(Boolean);
+
+        return {
+            type: PROJECT_FILE_TYPE,
+            version: PROJECT_FILE_VERSION,
+            page: cm.getPageSize(),
+            currentLayerIndex: cm.currentLayerIndex,
+            ...(skeletons.length > 0 ? {skeletons} : {}),
+            layers
+        };
+    }
+
+    async serializeDrawable(drawable) {
+        const state = {
+            type: drawable.constructor.name,
+            uuid: drawable.uuid,
+            name: drawable.name,
+            format: drawable.format,
+            originalBBox: drawable.originalBBox,
+            ...(drawable.sourceData ? {sourceData: drawable.sourceData} : {}),
+            attributes: {
+                visible: drawable._visible,
+                alpha: drawable._alpha,
+                strokeColor: drawable._strokeColor,
+                fillColor: drawable._fillColor
+            },
+            children: {}
+        };
+
+        this.traverseChildren(drawable, child => {
+            if (child === drawable) return;
+            const childState = {
+                visible: child._visible,
+                strokeColor: child._strokeColor,
+                fillColor: child._fillColor
+            };
+            if (child instanceof Keypoint) {
+                childState.position = child.getPosition();
+                if (child.getConfidence() !== null) childState.confidence = child.getConfidence();
+                if (child.shape?.getAttr('locked')) childState.locked = true;
+            }
+            // Shapes hidden from the status bar keep their entity visible
+            if (child.shape && child.getVisible() && child.getPosition() && !child.shape.visible()) {
+                childState.hidden = true;
+            }
+            state.children[child.name] = childState;
+        });
+
+        if (drawable instanceof DistortableImage) {
+            state.image = {
+                data: await this.encodeImage(drawable),
+                constrainedImageSize: drawable.constrainedImageSize
+            };
+        }
+        return state;
+    }
+
+    traverseChildren(entity, callback) {
+        callback(entity);
+        entity.children?.forEach(c => this.traverseChildren(c, callback));
+    }
+
+    /**
+     * Encode the image of a DistortableImage as a data URL
+     * @param {DistortableImage} drawable
+     * @returns {Promise<string|null>} data URL, or the original path if the image cannot be read back
+     */
+    async encodeImage(drawable) {
+        const imagePath = drawable.imagePath;
+        if (!imagePath) return null;
+        if (imagePath.startsWith('data:')) return imagePath;
+        if (this.imageDataCache.has(imagePath)) return this.imageDataCache.get(imagePath);
+
+        let dataUrl = null;
+        try {
+            const response = await fetch(imagePath);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${imagePath}: ${response.statusText}`);
+            }
+            dataUrl = await blobToDataURL(await response.blob());
+        } catch (error) {
+            // Fall back to whatever the browser already decoded
+            if (drawable.image?.complete && drawable.image.naturalWidth) {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = drawable.image.naturalWidth;
+                    canvas.height = drawable.image.naturalHeight;
+                    canvas.getContext('2d').drawImage(drawable.image, 0, 0);
+                    dataUrl = canvas.toDataURL('image/png');
+                } catch (_) {
+                    dataUrl = null;
+                }
+            }
+        }
+
+        if (dataUrl === null) {
+            console.warn(`Could not embed image ${imagePath}, storing its path instead`);
+            return imagePath;
+        }
+        this.imageDataCache.set(imagePath, dataUrl);
+        return dataUrl;
+    }
+
+    /**
+     * Turn an embedded data URL back into an object URL
+     * @param {string} data - data URL or plain path
+     * @returns {Promise<string>}
+     */
+    async decodeImage(data) {
+        if (!data.startsWith('data:')) return data;
+        const blob = await (await fetch(data)).blob();
+        const imagePath = URL.createObjectURL(blob);
+        this.imageDataCache.set(imagePath, data);
+        return imagePath;
+    }
+
+    // ====================
+    // DESERIALIZATION
+    // ====================
+
+    /**
+     * Replace the current scene with the content of a project document
+     * @param {Object} project - Project document
+     */
+    async load(project) {
+        if (project?.type !== PROJECT_FILE_TYPE) {
+            throw new Error('Not an OpenposeCanvas project file');
+        }
+        if (project.version > PROJECT_FILE_VERSION) {
+            throw new Error(`Unsupported project version ${project.version} (expected ${PROJECT_FILE_VERSION} or lower)`);
+        }
+
+        const cm = this.canvasManager;
+        cm.deselectAll();
+        cm.scene.lockStateChange();
+        try {
+            // An invalid embedded skeleton aborts the load before the current scene is cleared
+            for (const definition of project.skeletons ?? []) {
+                if (!cm.skeletonRegistryManager?.isCustomFormat(definition?.format)) {
+                    cm.skeletonRegistryManager?.register(definition);
+                }
+            }
+
+            [...cm.scene.drawables].forEach(drawable => cm.scene.removeDrawable(drawable));
+            while (cm.getLayers().length > 0) {
+                cm.deleteLayer(cm.getLayers().length - 1);
+            }
+
+            if (project.page) {
+                cm.changePageSize(project.page.width, project.page.height);
+            }
+
+            for (const layerState of project.layers ?? []) {
+                const layer = cm.addLayer(new Konva.Layer({
+                    id: layerState.id || crypto.randomUUID(),
+                    name: layerState.name,
+                    ...(layerState.canvasSize ? {canvasSize: layerState.canvasSize} : {})
+                }));
+                for (const drawableState of layerState.drawables ?? []) {
+                    await this.restoreDrawable(drawableState);
+                }
+                const index = cm.getLayers().indexOf(layer);
+                cm.toggleLayerVisibility(index, layerState.visible !== false);
+                cm.toggleLayerLock(index, !!layerState.locked);
+            }
+
+            if (cm.getLayers().length === 0) {
+                cm.addLayer();
+            }
+            const currentLayerIndex = Math.min(project.currentLayerIndex ?? 0, cm.getLayers().length - 1);
+            cm.setCurrentLayer(Math.max(0, currentLayerIndex));
+        } finally {
+            cm.scene.unlockStateChange();
+        }
+
+        if (cm.viewMode === 'WYSIWYG') {
+            await cm.toggleWYSIWYG(true);
+        }
+        cm.updateShapesScale();
+        cm.toolboxManager?.updateLayerList();
+        cm.revisionManager?.reset();
+        cm.stage.batchDraw();
+    }
+
+    async restoreDrawable(state) {
+        const cm = this.canvasManager;
+        const attributes = state.attributes ?? {};
+        let drawable = null;
+
+        if (state.type === 'Person') {
+            const personData = await this.buildPersonData(state);
+            drawable = await cm.addPerson({x: 0, y: 0}, personData, {
+                format: state.format,
+                sourceData: state.sourceData ?? null,
+                strokeColor: attributes.strokeColor,
+                fillColor: attributes.fillColor ?? 'white'
+            });
+        } else if (state.type === 'DistortableImage') {
+            const imagePath = state.image?.data ? await this.decodeImage(state.image.data) : null;
+            const size = state.image?.constrainedImageSize;
+            drawable = await cm.addImage(
+                {x: state.originalBBox?.x ?? 0, y: state.originalBBox?.y ?? 0, width: size?.width, height: size?.height},
+                imagePath
+            );
+        } else {
+            console.warn(`Skipping unknown drawable type "${state.type}" in project file`);
+            return null;
+        }
+
+        if (state.uuid) drawable.uuid = state.uuid;
+        drawable.name = state.name ?? drawable.name;
+        if (state.originalBBox) drawable.originalBBox = {...state.originalBBox};
+        this.applyDrawableState(drawable, state);
+        return drawable;
+    }
+
+    /**
+     * Build skeleton data holding the saved keypoint positions
+     * @param {Object} state - Serialized Person
+     * @returns {Promise<Object>} skeletonData
+     */
+    async buildPersonData(state) {
+        const baseSkeletonData = await dataAccessManager.loadSkeletonData(state.format);
+        if (!baseSkeletonData) {
+            throw new Error(`Unknown skeleton format "${state.format}" for ${state.name}`);
+        }
+        const positions = new Array(baseSkeletonData.positions.length).fill(null);
+        baseSkeletonData.names.forEach((name, i) => {
+            const pos = state.children?.[name]?.position;
+            if (pos) {
+                positions[i * 2] = pos.x;
+                positions[i * 2 + 1] = pos.y;
+            }
+        });
+        return {...baseSkeletonData, positions};
+    }
+
+    applyDrawableState(drawable, state) {
+        const cm = this.canvasManager;
+        const attributes = state.attributes ?? {};
+        const childrenMap = {};
+        this.traverseChildren(drawable, c => childrenMap[c.name] = c);
+
+        const lockedShapes = [];
+        const hiddenShapes = [];
+        Object.entries(state.children ?? {}).forEach(([name, childState]) => {
+            const child = childrenMap[name];
+            if (!child || child === drawable) return;
+
+            if (child instanceof Keypoint && 'position' in childState) {
+                if (JSON.stringify(child.getPosition()) !== JSON.stringify(childState.position)) {
+                    child.setPosition(childState.position);
+                }
+                child.setConfidence(childState.confidence ?? null);
+            }
+            child._visible = childState.visible ?? null;
+            child._strokeColor = childState.strokeColor ?? null;
+            child._fillColor = childState.fillColor ?? null;
+            if (childState.locked) lockedShapes.push(child);
+            if (childState.hidden) hiddenShapes.push(child);
+        });
+
+        drawable._alpha = attributes.alpha ?? drawable._alpha;
+        drawable.setStrokeColor(attributes.strokeColor ?? null);
+        drawable.setFillColor(attributes.fillColor ?? null);
+        drawable.setVisible(attributes.visible ?? true);
+
+        // Shape-level states only exist once the drawable has been rendered
+        cm.toggleNodesLock(lockedShapes.map(child => child.shape).filter(Boolean), true);
+        cm.toggleNodesVisibility(hiddenShapes.map(child => child.shape).filter(Boolean), false);
+    }
+
+    // ====================
+    // FILE I/O
+    // ====================
+
+    /**
+     * Serialize the scene and download it as a project file
+     * @param {string} fileName
+     */
+    async saveProjectFile(fileName) {
+        const project = await this.serialize();
+        const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open a project file, replacing the current scene after confirmation
+     * @param {File} file
+     * @returns {Promise<boolean>} True if the project was loaded
+     */
+    async openProjectFile(file) {
+        try {
+            const project = JSON.parse(await file.text());
+            if (this.canvasManager.scene.drawables.length > 0
+                && !confirm('Opening a project replaces the current scene. Continue?')) {
+                return false;
+            }
+            await this.load(project);
+            console.log(`Project ${file.name} opened successfully`);
+            return true;
+        } catch (error) {
+            console.error('Failed to open project:', error);
+            this.canvasManager.toolbarManager?.showNotification('Error opening project file: ' + error.message, '#dc3545', 5000);
+            return false;
+        }
+    }
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>} data URL
+ */
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
@@ -0,0 +1,337 @@
+import { DistortableImage } from './entities.js';
+import { dataAccessManager } from './openpose-probe.js';
+
+/**
+ * Output sizes offered by the PNG export: the page size, twice the page size, a fixed long side
+ * (the short side follows the page aspect ratio) or a custom width and height
+ */
+export const RENDER_SIZES = Object.freeze([
+    {value: 'page', label: 'Page size'},
+    {value: '2x', label: 'Page size x2'},
+    {value: '512', label: '512 px'},
+    {value: '768', label: '768 px'},
+    {value: '1024', label: '1024 px'},
+    {value: 'custom', label: 'Custom'}
+]);
+
+/**
+ * Control images of the ControlNet OpenPose preprocessors, by the parts they show
+ */
+export const CONTROLNET_PART_IMAGES = Object.freeze([
+    {name: 'openpose', parts: ['body']},
+    {name: 'openpose_hand', parts: ['body', 'hands']},
+    {name: 'openpose_face', parts: ['body', 'face']},
+    {name: 'openpose_full', parts: ['body', 'hands', 'face']}
+]);
+
+/**
+ * Part of a top-level limb (the limb groups of data/*.json: Face, RightHand and LeftHand of BODY18,
+ * Hands of MEDIAPIPEPOSE, Hand of MEDIAPIPEHAND...): 'face', 'hands' or 'body'
+ * @param {string} limbName
+ * @returns {string}
+ */
+export function getLimbPart(limbName) {
+    if (limbName === 'Face') return 'face';
+    if (['RightHand', 'LeftHand', 'Hands', 'Hand'].includes(limbName)) return 'hands';
+    return 'body';
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'})[char]);
+}
+
+/**
+ * SVG paint of a color, splitting the alpha of #RRGGBBAA colors (as in the controlnet palettes)
+ * into an opacity that vector tools understand
+ * @param {string|null} color
+ * @returns {{color: string, opacity: number}}
+ */
+function toSvgPaint(color) {
+    const match = /^#([0-9a-f]{6})([0-9a-f]{2})$/i.exec(color ?? '');
+    if (match) {
+        return {color: `#${match[1]}`, opacity: parseInt(match[2], 16) / 255};
+    }
+    return {color: color || 'none', opacity: 1};
+}
+
+/**
+ * Format a number for SVG output
+ * @param {number} value
+ * @returns {string}
+ */
+function svgNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Renders the scene into an off-screen stage, always in the ControlNet (WYSIWYG) style,
+ * whatever the view mode, zoom and scroll position of the editor
+ */
+export class RenderManager {
+    /**
+     * @param {import("./canvas").CanvasManager} canvasManager
+     */
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.canvasManager.setRenderManager(this);
+    }
+
+    /**
+     * Output size in pixels
+     * @param {Object} options
+     * @param {string} [options.size] - One of RENDER_SIZES
+     * @param {number} [options.width] - Width of a custom size
+     * @param {number} [options.height] - Height of a custom size
+     * @returns {{width: number, height: number}}
+     */
+    resolveOutputSize({size='page', width=null, height=null}={}) {
+        const page = this.canvasManager.getPageSize();
+        switch (size) {
+            case 'page':
+                return {width: page.width, height: page.height};
+            case '2x':
+                return {width: page.width * 2, height: page.height * 2};
+            case 'custom':
+                if (!(width > 0) || !(height > 0)) {
+                    throw new Error('Custom output size needs a width and a height');
+                }
+                return {width: Math.round(width), height: Math.round(height)};
+            default: {
+                const longSide = Number(size);
+                if (!(longSide > 0)) {
+                    throw new Error(`Unknown output size: ${size}`);
+                }
+                const scale = longSide / Math.max(page.width, page.height);
+                return {width: Math.round(page.width * scale), height: Math.round(page.height * scale)};
+            }
+        }
+    }
+
+    /**
+     * Render the scene
+     * @param {Object} [options]
+     * @param {string} [options.size] - Output size, see resolveOutputSize
+     * @param {number} [options.width] - Width of a custom size
+     * @param {number} [options.height] - Height of a custom size
+     * @param {boolean} [options.transparent] - Leave the background transparent
+     * @param {boolean} [options.includeImages] - Draw the reference images below the poses of their layer
+     * @param {Konva.Layer[]|null} [options.layers] - Layers to draw, in stacking order (default: the visible ones)
+     * @param {string[]|null} [options.parts] - Parts of the poses to draw ('body', 'hands', 'face', see
+     *     getLimbPart), null for all
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async render({size='page', width=null, height=null, transparent=false, includeImages=false, layers=null, parts=null}={}) {
+        const cm = this.canvasManager;
+        const page = cm.getPageSize();
+        const output = this.resolveOutputSize({size, width, height});
+        const scaleX = output.width / page.width;
+        const scaleY = output.height / page.height;
+        // Radii and stroke widths follow the average scale, so custom aspect ratios keep round keypoints
+        const scale = Math.sqrt(scaleX * scaleY);
+        const toOutput = (pos) => ({x: pos.x * scaleX, y: pos.y * scaleY});
+
+        layers = (layers ?? cm.getLayers().filter(layer => layer.visible()))
+            .slice().sort((a, b) => cm.getLayers().indexOf(a) - cm.getLayers().indexOf(b));
+
+        const stage = new Konva.Stage({container: document.createElement('div'), ...output});
+        try {
+            if (!transparent) {
+                const background = (await dataAccessManager.loadControlnetConfig(cm.formatId)).background_color;
+                const backgroundLayer = new Konva.Layer({listening: false});
+                backgroundLayer.add(new Konva.Rect({...output, fill: background}));
+                stage.add(backgroundLayer);
+            }
+
+            const configs = new Map();
+            for (const layer of layers) {
+                const outputLayer = new Konva.Layer({listening: false});
+                stage.add(outputLayer);
+                const drawables = cm.scene.drawables.filter(drawable => drawable._layer === layer && drawable.getVisible());
+
+                if (includeImages) {
+                    for (const image of drawables.filter(drawable => drawable instanceof DistortableImage)) {
+                        const config = image.getPerspectiveTransformedImage()?.toKonvaConfig();
+                        if (!config?.image) continue;
+                        outputLayer.add(new Konva.Image({
+                            image: config.image,
+                            ...toOutput(config),
+                            width: config.image.width * scaleX,
+                            height: config.image.height * scaleY
+                        }));
+                    }
+                }
+
+                // Like the pose layers, bones go below keypoints
+                const bones = new Konva.Group();
+                const keypoints = new Konva.Group();
+                outputLayer.add(bones, keypoints);
+                for (const drawable of drawables) {
+                    if (drawable instanceof DistortableImage) continue;
+                    if (!configs.has(drawable.format)) {
+                        configs.set(drawable.format, await dataAccessManager.loadControlnetConfig(drawable.format));
+                    }
+                    this.addPoseShapes(drawable, configs.get(drawable.format), {bones, keypoints}, toOutput, scale, parts);
+                }
+            }
+
+            stage.draw();
+            return stage.toCanvas({pixelRatio: 1});
+        } finally {
+            stage.destroy();
+        }
+    }
+
+    /**
+     * Add the ControlNet-styled bones and keypoints of a person
+     * @param {import("./entities").Drawable} drawable
+     * @param {Object} cnetConfig - ControlNet config of the person's skeleton format
+     * @param {{bones: Konva.Group, keypoints: Konva.Group}} groups
+     * @param {(pos: {x: number, y: number}) => {x: number, y: number}} toOutput - Page to output coordinates
+     * @param {number} scale - Scale of radii and stroke widths
+     * @param {string[]|null} [parts] - Parts to draw, null for all
+     */
+    addPoseShapes(drawable, cnetConfig, {bones, keypoints}, toOutput, scale, parts=null) {
+        const isDrawn = (kp) => kp.getVisible() && kp.getPosition() !== null;
+        const drawnKeypoints = new Set();
+        for (const limb of drawable.limbs) {
+            if (parts && !parts.includes(getLimbPart(limb.name))) continue;
+            for (const bone of limb.children) {
+                if (!bone.getVisible() || !isDrawn(bone.start) || !isDrawn(bone.end)) continue;
+                const start = toOutput(bone.start.getPosition());
+                const end = toOutput(bone.end.getPosition());
+                bones.add(new Konva.Line({
+                    points: [start.x, start.y, end.x, end.y],
+                    stroke: cnetConfig.bone_colors[bone.name] || bone.getStrokeColor(),
+                    strokeWidth: cnetConfig.bone_strokewidth * scale
+                }));
+            }
+            for (const kp of limb.getAllKeypoints()) {
+                // Keypoints shared by limbs are drawn once, translucent colors would add up
+                if (drawnKeypoints.has(kp) || !isDrawn(kp)) continue;
+                drawnKeypoints.add(kp);
+                const color = cnetConfig.keypoint_colors[kp.name] || kp.getFillColor();
+                keypoints.add(new Konva.Circle({
+                    ...toOutput(kp.getPosition()),
+                    radius: cnetConfig.keypoint_radius * scale,
+                    fill: color,
+                    stroke: color,
+                    strokeWidth: cnetConfig.keypoint_strokewidth * scale,
+                    strokeEnabled: cnetConfig.keypoint_strokewidth > 0
+                }));
+            }
+        }
+    }
+
+    /**
+     * Render the scene as SVG: one group per layer and per person, with ids from their names,
+     * holding a line per bone and a circle per keypoint, in page coordinates
+     * @param {Object} [options]
+     * @param {'controlnet'|'editor'} [options.palette] - ControlNet colors and sizes, or those of the
+     *     editor's normal view
+     * @param {boolean} [options.transparent] - Leave out the ControlNet background
+     * @param {Konva.Layer[]|null} [options.layers] - Layers to draw, in stacking order (default: the visible ones)
+     * @returns {Promise<string>} SVG document
+     */
+    async renderToSvg({palette='controlnet', transparent=false, layers=null}={}) {
+        const cm = this.canvasManager;
+        const page = cm.getPageSize();
+        const useControlnet = palette === 'controlnet';
+        layers = (layers ?? cm.getLayers().filter(layer => layer.visible()))
+            .slice().sort((a, b) => cm.getLayers().indexOf(a) - cm.getLayers().indexOf(b));
+
+        // Entity names may repeat across layers, ids must not
+        const usedIds = new Set();
+        const uniqueId = (name) => {
+            let id = name;
+            for (let i = 2; usedIds.has(id); i++) id = `${name}-${i}`;
+            usedIds.add(id);
+            return escapeXml(id);
+        };
+        const paintAttrs = (attr, color) => {
+            const paint = toSvgPaint(color);
+            return paint.opacity < 1
+                ? `${attr}="${paint.color}" ${attr}-opacity="${svgNumber(paint.opacity)}"`
+                : `${attr}="${paint.color}"`;
+        };
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${page.width}" height="${page.height}" viewBox="0 0 ${page.width} ${page.height}">`
+        ];
+        if (useControlnet && !transparent) {
+            const background = (await dataAccessManager.loadControlnetConfig(cm.formatId)).background_color;
+            lines.push(`  <rect id="${uniqueId('background')}" width="${page.width}" height="${page.height}" ${paintAttrs('fill', background)}/>`);
+        }
+
+        const configs = new Map();
+        for (const layer of layers) {
+            lines.push(`  <g id="${uniqueId(layer.name())}" inkscape:groupmode="layer" inkscape:label="${escapeXml(layer.name())}">`);
+            const persons = cm.scene.drawables.filter(drawable => drawable._layer === layer
+                && drawable.getVisible() && !(drawable instanceof DistortableImage));
+
+            for (const person of persons) {
+                if (useControlnet && !configs.has(person.format)) {
+                    configs.set(person.format, await dataAccessManager.loadControlnetConfig(person.format));
+                }
+                const cnetConfig = configs.get(person.format);
+                const isDrawn = (kp) => kp.getVisible() && kp.getPosition() !== null;
+                const bones = [];
+                const keypoints = [];
+                const drawnKeypoints = new Set();
+
+                for (const limb of person.limbs) {
+                    for (const bone of limb.children) {
+                        if (!bone.getVisible() || !isDrawn(bone.start) || !isDrawn(bone.end)) continue;
+                        const start = bone.start.getPosition();
+                        const end = bone.end.getPosition();
+                        const stroke = useControlnet ? (cnetConfig.bone_colors[bone.name] || bone.getStrokeColor()) : bone.getStrokeColor();
+                        const width = useControlnet ? cnetConfig.bone_strokewidth : (bone.getStrokeWidth() ?? 1);
+                        const opacity = useControlnet ? 1 : (bone.getAlpha() ?? 1);
+                        bones.push(`      <line id="${uniqueId(`${person.name}.${bone.name}`)}" x1="${svgNumber(start.x)}" y1="${svgNumber(start.y)}" x2="${svgNumber(end.x)}" y2="${svgNumber(end.y)}" ${paintAttrs('stroke', stroke)} stroke-width="${svgNumber(width)}" stroke-linecap="round"${opacity < 1 ? ` opacity="${svgNumber(opacity)}"` : ''}/>`);
+                    }
+                    for (const kp of limb.getAllKeypoints()) {
+                        if (drawnKeypoints.has(kp) || !isDrawn(kp)) continue;
+                        drawnKeypoints.add(kp);
+                        const pos = kp.getPosition();
+                        let attrs;
+                        if (useControlnet) {
+                            const color = cnetConfig.keypoint_colors[kp.name] || kp.getFillColor();
+                            const strokeWidth = cnetConfig.keypoint_strokewidth;
+                            attrs = `r="${svgNumber(cnetConfig.keypoint_radius)}" ${paintAttrs('fill', color)}`
+                                + (strokeWidth > 0 ? ` ${paintAttrs('stroke', color)} stroke-width="${svgNumber(strokeWidth)}"` : '');
+                        } else {
+                            const opacity = kp.getDisplayOpacity();
+                            attrs = `r="${svgNumber(kp._radius)}" ${paintAttrs('fill', kp.getFillColor())} ${paintAttrs('stroke', kp.getStrokeColor())} stroke-width="${svgNumber(kp.getStrokeWidth() ?? 1)}"`
+                                + (opacity < 1 ? ` opacity="${svgNumber(opacity)}"` : '');
+                        }
+                        keypoints.push(`      <circle id="${uniqueId(`${person.name}.${kp.name}`)}" cx="${svgNumber(pos.x)}" cy="${svgNumber(pos.y)}" ${attrs}/>`);
+                    }
+                }
+
+                // Like the pose layers, bones go below keypoints
+                lines.push(`    <g id="${uniqueId(person.name)}">`, ...bones, ...keypoints, '    </g>');
+            }
+            lines.push('  </g>');
+        }
+        lines.push('</svg>', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render the scene as PNG
+     * @param {Object} [options] - See render
+     * @returns {Promise<Uint8Array>} PNG file
+     */
+    async renderToPng(options={}) {
+        const canvas = await this.render(options);
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode PNG')), 'image/png');
+        });
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+}
@@ -21,7 +21,7 @@ export class RevisionManager {
             if (this.scene === null) this.scene = this.canvasManager.scene;
             this.canvasManager.setRevisionManager(this);
         }
-        // Hook into the scene
+        // Every change of the scene goes through handleStateChange, which records it and notifies the canvas
         this.scene.onStateChanged = () => this.handleStateChange();
         // Initialize snapshot
         this.initializeSnapshot();
@@ -40,6 +40,17 @@ export class RevisionManager {
         });
     }
 
+    /**
+     * Drop all history and take a fresh snapshot (e.g. after a project was opened)
+     */
+    reset() {
+        this.history = [];
+        this.redoStack = [];
+        this.initializeSnapshot();
+        this.resetStateFlags(this.scene);
+        if (this.onHistoryChange) this.onHistoryChange();
+    }
+
     captureDrawableState(drawable) {
         const state = {
             type: drawable.constructor.name,
@@ -63,6 +74,7 @@ export class RevisionManager {
             // We assume names are unique per drawable
             state.children[child.name] = {
                 position: child instanceof Keypoint ? child.getPosition() : null,
+                confidence: child instanceof Keypoint ? child.getConfidence() : null,
                 visible: child.getVisible(),
                 strokeColor: child._strokeColor,
                 fillColor: child._fillColor
@@ -87,6 +99,7 @@ export class RevisionManager {
 
         if (drawable instanceof Person) {
             args.format = drawable.format;
+            args.sourceData = drawable.sourceData;
         } else if (drawable instanceof DistortableImage) {
             args.imagePath = drawable.imagePath;
             args.constrainedImageSize = drawable.constrainedImageSize;
@@ -171,6 +184,7 @@ export class RevisionManager {
 
         // Reset state changed flags
         this.resetStateFlags(this.scene);
+        if (this.canvasManager) this.canvasManager.notifySceneChange();
     }
 
     diffStates(oldState, newState) {
@@ -198,6 +212,10 @@ export class RevisionManager {
                     childDiff.position = { from: oldChild.position, to: newChild.position };
                     childChanged = true;
                 }
+                if (oldChild.confidence !== newChild.confidence) {
+                    childDiff.confidence = { from: oldChild.confidence, to: newChild.confidence };
+                    childChanged = true;
+                }
                 if (oldChild.visible !== newChild.visible) {
                     childDiff.visible = { from: oldChild.visible, to: newChild.visible };
                     childChanged = true;
@@ -349,7 +367,7 @@ export class RevisionManager {
 
         // Create the instance (note: this adds it to the current active layer initially)
         if (state.type === 'Person') {
-            drawable = await this.scene.addPerson(args.originalBBox, null, { format: args.format });
+            drawable = await this.scene.addPerson(args.originalBBox, null, { format: args.format, sourceData: args.sourceData });
         } else if (state.type === 'DistortableImage') {
             drawable = await this.scene.addImage(args.originalBBox, args.imagePath);
         }
@@ -395,6 +413,8 @@ export class RevisionManager {
                 if (!child) return;
                 
                 if (childState.position) child.setPosition(childState.position, false);
+                // Confidence after the position, which resets it
+                if (child instanceof Keypoint && childState.confidence != null) child.setConfidence(childState.confidence);
                 
                 if (childState.visible !== undefined) child.setVisible(childState.visible);
                 if (childState.strokeColor) child._strokeColor = childState.strokeColor;
@@ -461,6 +481,7 @@ if (diff.attributes) {
                 if (!child) return;
 
                 if (d.position) child.setPosition(d.position[dir]);
+                if (d.confidence) child.setConfidence(d.confidence[dir]);
                 if (d.visible) child.setVisible(d.visible[dir]);
                 if (d.fillColor) child._fillColor = d.fillColor[dir];
                 if (d.strokeColor) child._strokeColor = d.strokeColor[dir];
@@ -531,6 +552,7 @@ if (diff.attributes) {
         
         this.isUndoing = false;
         if (this.onHistoryChange) this.onHistoryChange();
+        if (this.canvasManager) this.canvasManager.notifySceneChange();
     }
 
     async redo() {
@@ -593,5 +615,6 @@ if (diff.attributes) {
 
         this.isUndoing = false;
         if (this.onHistoryChange) this.onHistoryChange();
+        if (this.canvasManager) this.canvasManager.notifySceneChange();
     }
 }
\ No newline at end of file
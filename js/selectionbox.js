@@ -92,6 +92,7 @@ export class SelectionTransformer {
         this.onSelectionChange = null;
         this.onInteractionEnd = null;
         this.onInteractionStart = null;
+        this.onNodesDragged = null; // Called with the moved nodes while dragging
         
         this.selectionRect = null;
         this.selecting = false;
@@ -128,6 +129,13 @@ export class SelectionTransformer {
         const layer = node.getLayer();
         if (layer && layer.getAttr('locked')) return true;
     }
+
+    /**
+     * Selected nodes that move when the selection is dragged
+     */
+    getDraggableNodes() {
+        return this.selectedNodes.filter(n => !this.isPassiveObject(n) && !this.isLocked(n));
+    }
     
     setupEvents() {
         this.stage.on('mousedown touchstart', (e) => {
@@ -208,6 +216,7 @@ export class SelectionTransformer {
                             y: n._startPos.y + dy
                         });
                     });
+                    if (this.onNodesDragged) this.onNodesDragged(this.getDraggableNodes());
                     
                     this.updateSelection();
                     return;
@@ -271,6 +280,7 @@ export class SelectionTransformer {
                             y: n._startPos.y + dy
                         });
                     });
+                    if (this.onNodesDragged) this.onNodesDragged(this.getDraggableNodes());
                     
                     this.updateSelection(); 
                     const nodeLayer = e.target.getLayer();
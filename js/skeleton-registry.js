@@ -0,0 +1,105 @@
+import { dataAccessManager } from './openpose-probe.js';
+
+const STORAGE_KEY = 'openpose-canvas-custom-skeletons';
+
+/**
+ * User skeleton definitions (animal or robot rigs...) in the schema of data/*.json.
+ * Definitions are registered with the shared SkeletonDataAccess and kept in localStorage,
+ * so they are available again after a reload.
+ */
+export class SkeletonRegistryManager {
+    /**
+     * @param {import("./canvas").CanvasManager} canvasManager
+     */
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.canvasManager.setSkeletonRegistryManager(this);
+        this.dataAccessManager = dataAccessManager;
+        /** @type {Set<(formats: string[]) => void>} */
+        this.listeners = new Set();
+    }
+
+    /**
+     * Register the stored definitions. Must run before anything loads a custom skeleton.
+     */
+    init() {
+        for (const definition of this.readStoredDefinitions()) {
+            try {
+                this.dataAccessManager.registerSkeleton(definition);
+            } catch (error) {
+                console.warn(`SkeletonRegistryManager: skipping stored skeleton ${definition?.format}:`, error.message);
+            }
+        }
+        this.notify();
+    }
+
+    /**
+     * @returns {string[]} Built-in, then custom format IDs
+     */
+    getFormats() {
+        return this.dataAccessManager.listFormats();
+    }
+
+    isCustomFormat(formatId) {
+        return this.dataAccessManager.isCustomFormat(formatId);
+    }
+
+    /**
+     * Custom definition of a format, e.g. to embed it in a project file
+     * @param {string} formatId
+     * @returns {Object|null}
+     */
+    getDefinition(formatId) {
+        return this.dataAccessManager.customSkeletons.get(formatId) ?? null;
+    }
+
+    /**
+     * Register and persist a skeleton definition
+     * @param {Object} definition - Raw JSON definition
+     * @returns {string} Format ID
+     */
+    register(definition) {
+        const formatId = this.dataAccessManager.registerSkeleton(definition);
+        this.saveDefinitions();
+        this.notify();
+        return formatId;
+    }
+
+    unregister(formatId) {
+        if (this.dataAccessManager.unregisterSkeleton(formatId)) {
+            this.saveDefinitions();
+            this.notify();
+        }
+    }
+
+    /**
+     * @param {(formats: string[]) => void} listener - Called with the format IDs whenever they change
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        listener(this.getFormats());
+    }
+
+    notify() {
+        const formats = this.getFormats();
+        this.listeners.forEach(listener => listener(formats));
+    }
+
+    readStoredDefinitions() {
+        try {
+            const definitions = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+            return Array.isArray(definitions) ? definitions : [];
+        } catch (error) {
+            console.warn('SkeletonRegistryManager: failed to read stored skeletons:', error);
+            return [];
+        }
+    }
+
+    saveDefinitions() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...this.dataAccessManager.customSkeletons.values()]));
+        } catch (error) {
+            console.error('SkeletonRegistryManager: failed to store skeletons:', error);
+        }
+    }
+}
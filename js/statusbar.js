@@ -6,6 +6,8 @@ export class StatusBarManager {
         this.lockButton = null;
         this.visButton = null;
         this.delNodeButton = null;
+        this.flipHButton = null;
+        this.flipVButton = null;
     }
 
     init() {
@@ -25,6 +27,8 @@ export class StatusBarManager {
         this.lockButton = document.getElementById('lockBtn');
         this.visButton = document.getElementById('visBtn');
         this.delNodeButton = document.getElementById('delNodeBtn');
+        this.flipHButton = document.getElementById('flipHBtn');
+        this.flipVButton = document.getElementById('flipVBtn');
     }
 
     setupEventListeners() {
@@ -130,11 +134,24 @@ export class StatusBarManager {
                 this.canvasManager.scene.changeState(true);
             });
         }
+
+        // Flip the persons of the selected shapes
+        this.flipHButton?.addEventListener('click', () => this.canvasManager.flipNodes(null, 'horizontal'));
+        this.flipVButton?.addEventListener('click', () => this.canvasManager.flipNodes(null, 'vertical'));
     }
 
     async updateButtonStates() {
         this.updateLockButtonStates();
         this.updateVisibleButtonStates();
+        this.updateFlipButtonStates();
+    }
+
+    updateFlipButtonStates() {
+        if (!this.canvasManager.selectionTransformer) return;
+        const disabled = this.canvasManager.getPersonsOfNodes().length === 0;
+        [this.flipHButton, this.flipVButton].forEach(button => {
+            if (button) button.disabled = disabled;
+        });
     }
 
     async updateVisibleButtonStates() {
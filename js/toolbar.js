@@ -1,4 +1,23 @@
 import { dataAccessManager } from './openpose-probe.js';
+import { describeConversions } from './core/conversion.js';
+import { collectPoseMetadata, embedPoseMetadata } from './core/png-metadata.js';
+import { RENDER_SIZES, CONTROLNET_PART_IMAGES } from './renderer.js';
+import { createZip } from './core/zip.js';
+import { PROJECT_FILE_EXTENSION } from './project.js';
+import { DistortableImage } from './entities.js';
+
+const BUNDLE_MANIFEST_TYPE = 'openpose-canvas-bundle';
+const BUNDLE_MANIFEST_VERSION = 1;
+
+/**
+ * Export formats that are not a plain pose JSON, so cannot be the pose file of a bundle
+ */
+const NON_BUNDLE_FORMATS = ['COCO', 'PNG', 'SVG', 'SVG_EDITOR', 'PNG_PARTS', 'BUNDLE', 'OPCANVAS'];
+
+/**
+ * Export formats whose coordinates can be written normalized
+ */
+const COMFYUI_FORMATS = ['BODY18COMFYUI', 'BODY18COMFYUI_LAYERS'];
 
 export class ToolbarManager {
     constructor(canvasManager) {
@@ -9,6 +28,10 @@ export class ToolbarManager {
         this.isPanMode = false;
         this.panStartPos = null;
         this.stageStartPos = null;
+        this.projectFileInput = null;
+        this.pngOptions = null; // Last PNG export options, without the layers
+        this.bundleFormat = null; // Pose JSON format of the last bundle export
+        this.exportNormalized = null; // Whether ComfyUI coordinates are exported normalized to [0, 1] (null = as imported)
         
         // Debounce timers for page size inputs - REMOVED
     }
@@ -32,8 +55,13 @@ export class ToolbarManager {
         const fitToPageBtn = document.getElementById('fitToPageBtn');
         const undoBtn = document.getElementById('undoBtn');
         const wysiwygBtn = document.getElementById('wysiwygBtn');
+        const symmetricBtn = document.getElementById('symmetricBtn');
+        const fkBtn = document.getElementById('fkBtn');
+        const ikBtn = document.getElementById('ikBtn');
+        const proportionalBtn = document.getElementById('proportionalBtn');
         const redoBtn = document.getElementById('redoBtn');
         const exportBtn = document.getElementById('exportBtn');
+        const openProjectBtn = document.getElementById('openProjectBtn');
         const pageWidthInput = document.getElementById('pageWidth');
         const pageHeightInput = document.getElementById('pageHeight');
 
@@ -57,8 +85,13 @@ export class ToolbarManager {
         fitToPageBtn?.addEventListener('click', () => this.canvasManager.fitToPage());
         undoBtn?.addEventListener('click', () => this.canvasManager.undo());
         wysiwygBtn?.addEventListener('click', () => this.toggleWYSIWYG());
+        symmetricBtn?.addEventListener('click', () => this.toggleSymmetricEditing());
+        fkBtn?.addEventListener('click', () => this.toggleFkEditing());
+        ikBtn?.addEventListener('click', () => this.toggleIkEditing());
+        proportionalBtn?.addEventListener('click', () => this.toggleProportionalEditing());
         redoBtn?.addEventListener('click', () => this.canvasManager.redo());
         exportBtn?.addEventListener('click', () => this.exportPoseData());
+        openProjectBtn?.addEventListener('click', () => this.openProject());
 
         // Setup page size input listeners
         pageWidthInput?.addEventListener('change', (e) => {
@@ -92,6 +125,32 @@ export class ToolbarManager {
         }
     }
 
+    toggleSymmetricEditing() {
+        this.canvasManager.toggleSymmetricEditing();
+        document.getElementById('symmetricBtn')?.classList.toggle('active', this.canvasManager.symmetricEditing);
+    }
+
+    toggleFkEditing() {
+        this.canvasManager.toggleFkEditing();
+        this.updateKinematicsButtons();
+    }
+
+    toggleIkEditing() {
+        this.canvasManager.toggleIkEditing();
+        this.updateKinematicsButtons();
+    }
+
+    // FK and IK exclude each other: turning one on turns the other off
+    updateKinematicsButtons() {
+        document.getElementById('fkBtn')?.classList.toggle('active', this.canvasManager.fkEditing);
+        document.getElementById('ikBtn')?.classList.toggle('active', this.canvasManager.ikEditing);
+    }
+
+    toggleProportionalEditing() {
+        this.canvasManager.toggleProportionalEditing();
+        document.getElementById('proportionalBtn')?.classList.toggle('active', this.canvasManager.proportionalEditing);
+    }
+
     togglePanMode() {
         this.isPanMode = !this.isPanMode;
         const panBtn = document.getElementById('panBtn');
@@ -198,52 +257,50 @@ export class ToolbarManager {
                 return;
             }
 
-            // Get page size for BODY18COMFYUI format
-            const pageSize = (format === 'BODY18COMFYUI') ? this.canvasManager.getPageSize() : null;
+            if (format === 'SVG' || format === 'SVG_EDITOR') {
+                await this.exportAsSvg(format === 'SVG' ? 'controlnet' : 'editor');
+                return;
+            }
 
-            // Collect all pose data from all layers
-            const allPoseData = await this.collectAllPoseData(format, pageSize);
-            
-            // Check if we have any pose data to export
-            let hasData = false;
-            if (Array.isArray(allPoseData)) {
-                if (allPoseData.length > 0) {
-                    if (allPoseData[0].people) {
-                        hasData = allPoseData[0].people.length > 0;
-                    } else {
-                        hasData = true; // Direct array of data
-                    }
-                }
-            } else if (allPoseData && typeof allPoseData === 'object') {
-                hasData = Object.keys(allPoseData).length > 0;
+            if (format === 'PNG_PARTS') {
+                await this.exportAsPartPngs();
+                return;
             }
-            
-            if (!hasData) {
+
+            if (format === 'BUNDLE') {
+                await this.exportAsBundle(this.bundleFormat);
+                return;
+            }
+
+            if (format === 'OPCANVAS') {
+                await this.exportAsProject();
+                return;
+            }
+
+            if (format === 'COCO') {
+                await this.exportAsCOCO();
+                return;
+            }
+
+            const reports = [];
+            const allPoseData = await this.collectPoseJson(format, reports, null, this.exportNormalized);
+            const exportedCount = this.countExportedPoses(allPoseData);
+            if (exportedCount === 0) {
                 this.showExportError('No pose data found to export.');
                 return;
             }
 
             // Show save dialog
-            const fileName = await this.showSaveDialog(format);
+            const fileName = await this.showSaveDialog(format === 'BODY18COMFYUI_LAYERS' ? 'BODY18COMFYUI' : format);
             if (!fileName) return; // User cancelled
 
             // Save the file
             this.saveJsonFile(allPoseData, fileName);
             
-            // Calculate and log number of exported persons
-            let exportedCount = 0;
-            if (Array.isArray(allPoseData)) {
-                if (allPoseData.length > 0 && allPoseData[0].people) {
-                    exportedCount = allPoseData[0].people.length;
-
-                } else {
-                    exportedCount = allPoseData.length;
-                }
-            } else if (allPoseData && typeof allPoseData === 'object') {
-                exportedCount = Object.keys(allPoseData).length;
-            }
-            
             console.log(`Exported ${exportedCount} person(s) to ${fileName}`);
+            if (reports.length > 0) {
+                this.showConversionSummary(`Converted ${reports.length} person(s):\n${describeConversions(reports)}`);
+            }
         } catch (error) {
             console.error('Export failed:', error);
             this.showExportError(`Export failed: ${error.message}`);
@@ -284,9 +341,32 @@ export class ToolbarManager {
                 <select id="formatSelect" style="width: 100%; padding: 8px; margin-bottom: 20px; border: 1px solid #ccc; border-radius: 4px;">
                     <option value="BODY18">ControlNet Standard</option>
                     <option value="BODY18COMFYUI">ComfyUI Enhanced</option>
+                    <option value="BODY18COMFYUI_LAYERS">ComfyUI Enhanced (one canvas per layer)</option>
                     <option value="BODY25">Body-25 Full</option>
+                    <option value="COCOWHOLEBODY">COCO-WholeBody (DWPose)</option>
+                    <option value="COCO">COCO Keypoint Annotations</option>
+                    <option value="MEDIAPIPEPOSE">MediaPipe Pose</option>
+                    <option value="MEDIAPIPEHAND">MediaPipe Hands</option>
+                    <option value="AP10K">AP-10K Animal Pose</option>
                     <option value="PNG">PNG Image</option>
+                    <option value="SVG">SVG Vector Image (ControlNet colors)</option>
+                    <option value="SVG_EDITOR">SVG Vector Image (editor colors)</option>
+                    <option value="PNG_PARTS">ControlNet Part Images (body / hand / face, zip)</option>
+                    <option value="BUNDLE">Export Bundle (pose JSON, control image and reference images, zip)</option>
+                    <option value="OPCANVAS">OpenposeCanvas Project</option>
                 </select>
+                <div id="bundleOptions" style="display: none; margin-bottom: 20px;">
+                    <p style="color: #666; margin: 0 0 5px 0;">Pose JSON format in the bundle:</p>
+                    <select id="bundleFormatSelect" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;"></select>
+                </div>
+                <div id="normalizedOption" style="display: none; margin-bottom: 20px;">
+                    <p style="color: #666; margin: 0 0 5px 0;">Coordinates:</p>
+                    <select id="normalizedSelect" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        <option value="">As imported (normalized for persons from normalized files)</option>
+                        <option value="normalized">Normalized (0-1 of the canvas size)</option>
+                        <option value="pixels">Pixels</option>
+                    </select>
+                </div>
                 <div style="display: flex; gap: 10px; justify-content: flex-end;">
                     <button id="cancelBtn" style="padding: 8px 16px; border: 1px solid #ccc; background: white; border-radius: 4px; cursor: pointer;">Cancel</button>
                     <button id="exportBtn" style="padding: 8px 16px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer;">Export</button>
@@ -300,6 +380,35 @@ export class ToolbarManager {
             const exportBtn = dialog.querySelector('#exportBtn');
             const formatSelect = dialog.querySelector('#formatSelect');
 
+            // Custom skeletons, before the non-pose formats
+            const registry = this.canvasManager.skeletonRegistryManager;
+            const pngOption = formatSelect.querySelector('option[value="PNG"]');
+            registry?.getFormats().filter(formatId => registry.isCustomFormat(formatId)).forEach(formatId => {
+                formatSelect.insertBefore(new Option(`${formatId} (custom skeleton)`, formatId), pngOption);
+            });
+
+            // Bundles hold a pose JSON of one of the plain JSON formats
+            const bundleOptions = dialog.querySelector('#bundleOptions');
+            const bundleFormatSelect = dialog.querySelector('#bundleFormatSelect');
+            [...formatSelect.options]
+                .filter(option => !NON_BUNDLE_FORMATS.includes(option.value))
+                .forEach(option => bundleFormatSelect.add(new Option(option.text, option.value)));
+            if (this.bundleFormat) bundleFormatSelect.value = this.bundleFormat;
+
+            // ComfyUI coordinates default to those of the file each person was imported from
+            const normalizedOption = dialog.querySelector('#normalizedOption');
+            const normalizedSelect = dialog.querySelector('#normalizedSelect');
+            normalizedSelect.value = this.exportNormalized === null ? '' : this.exportNormalized ? 'normalized' : 'pixels';
+            const updateOptions = () => {
+                const isBundle = formatSelect.value === 'BUNDLE';
+                const jsonFormat = isBundle ? bundleFormatSelect.value : formatSelect.value;
+                bundleOptions.style.display = isBundle ? 'block' : 'none';
+                normalizedOption.style.display = COMFYUI_FORMATS.includes(jsonFormat) ? 'block' : 'none';
+            };
+            formatSelect.onchange = updateOptions;
+            bundleFormatSelect.onchange = updateOptions;
+            updateOptions();
+
             cancelBtn.onclick = () => {
                 document.body.removeChild(modal);
                 resolve(null);
@@ -307,6 +416,10 @@ export class ToolbarManager {
 
             exportBtn.onclick = () => {
                 const selectedFormat = formatSelect.value;
+                if (selectedFormat === 'BUNDLE') {
+                    this.bundleFormat = bundleFormatSelect.value;
+                }
+                this.exportNormalized = normalizedSelect.value ? normalizedSelect.value === 'normalized' : null;
                 document.body.removeChild(modal);
                 resolve(selectedFormat);
             };
@@ -349,12 +462,34 @@ export class ToolbarManager {
             `;
 
             const isPng = format === 'PNG';
-            const extension = isPng ? 'png' : 'json';
-            const defaultFileName = isPng 
-                ? `openpose-${Date.now()}.png`
-                : `openpose-${format.toLowerCase()}-${Date.now()}.json`;
-            const title = isPng ? 'Save PNG' : 'Save File';
-            const hint = isPng ? 'PNG Image' : `${format} Data`;
+            const isProject = format === 'OPCANVAS';
+            const isZip = format === 'ZIP' || format === 'BUNDLE';
+            const isSvg = format === 'SVG';
+            let extension = 'json';
+            let defaultFileName = `openpose-${format.toLowerCase()}-${Date.now()}.json`;
+            let title = 'Save File';
+            let hint = `${format} Data`;
+            if (isPng) {
+                extension = 'png';
+                defaultFileName = `openpose-${Date.now()}.png`;
+                title = 'Save PNG';
+                hint = 'PNG Image';
+            } else if (isSvg) {
+                extension = 'svg';
+                defaultFileName = `openpose-${Date.now()}.svg`;
+                title = 'Save SVG';
+                hint = 'SVG Image';
+            } else if (isZip) {
+                extension = 'zip';
+                defaultFileName = `openpose-${format === 'BUNDLE' ? 'bundle' : 'parts'}-${Date.now()}.zip`;
+                title = 'Save Archive';
+                hint = 'Zip Archive';
+            } else if (isProject) {
+                extension = PROJECT_FILE_EXTENSION;
+                defaultFileName = `openpose-canvas-${Date.now()}.${PROJECT_FILE_EXTENSION}`;
+                title = 'Save Project';
+                hint = 'OpenposeCanvas Project';
+            }
 
             dialog.innerHTML = `
                 <h3 style="margin-top: 0; color: #333;">${title}</h3>
@@ -399,28 +534,98 @@ export class ToolbarManager {
         });
     }
 
+    /**
+     * Collect the pose JSON of an OpenPose JSON export format
+     * @param {string} format - Export format (BODY18, BODY18COMFYUI_LAYERS, custom skeletons...)
+     * @param {Object[]|null} [reports] - Receives the reports of converted persons
+     * @param {Konva.Layer[]|null} [layers] - Layers to export (default: all)
+     * @param {boolean|null} [normalized] - Normalized ComfyUI coordinates (default: as imported)
+     * @returns {Promise<Object|Object[]|null>}
+     */
+    async collectPoseJson(format, reports=null, layers=null, normalized=null) {
+        // Get page size for formats with normalized or canvas-relative coordinates
+        const pageSize = ['BODY18COMFYUI', 'BODY18COMFYUI_LAYERS', 'MEDIAPIPEPOSE', 'MEDIAPIPEHAND', 'AP10K'].includes(format)
+            ? this.canvasManager.getPageSize() : null;
+
+        return format === 'BODY18COMFYUI_LAYERS'
+            ? await this.collectPoseDataPerLayer(pageSize, reports, layers, normalized)
+            : await this.collectAllPoseData(format, pageSize, reports, layers, normalized);
+    }
+
+    /**
+     * Number of persons (and animals) in exported pose JSON
+     * @param {Object|Object[]|null} poseJson
+     * @returns {number}
+     */
+    countExportedPoses(poseJson) {
+        if (Array.isArray(poseJson)) {
+            if (poseJson.length > 0 && poseJson[0].people) {
+                return poseJson.reduce((count, canvas) => count + canvas.people.length + (canvas.animals?.length ?? 0), 0);
+            }
+            return poseJson.length; // Direct array of data
+        }
+        if (poseJson && typeof poseJson === 'object') {
+            return Object.keys(poseJson).length;
+        }
+        return 0;
+    }
+
     /**
      * Collect all pose data from all layers
+     * Persons of another skeleton are converted; their reports are pushed to `reports`.
      */
-    async collectAllPoseData(format, pageSize=null) {
+    async collectAllPoseData(format, pageSize=null, reports=null, layers=null, normalized=null) {
         let toJson = null;
-        const persons = this.canvasManager.scene.persons || [];
+        const persons = (this.canvasManager.scene.persons || [])
+            .filter(person => !layers || layers.includes(person._layer));
         console.log(`Found ${persons.length} persons in scene`);
 
         // Convert each person to the requested format
         for (const person of persons) {
-            toJson = await dataAccessManager.exportPersonAsOpenPoseJson(person, format, toJson, pageSize);
+            toJson = await dataAccessManager.exportPersonAsOpenPoseJson(person, format, toJson, pageSize, {reports, normalized});
         }
 
         return toJson;
     }
 
+    /**
+     * Collect pose data as a multi-canvas ComfyUI file, one canvas per layer.
+     * Layers without persons are only kept if they came from an imported canvas.
+     * @param {{width: number, height: number}} pageSize - Canvas size of layers without their own
+     * @param {Object[]|null} [reports] - Receives the reports of converted persons
+     * @param {Konva.Layer[]|null} [layers] - Layers to export (default: all)
+     * @param {boolean|null} [normalized] - Normalized coordinates (default: as imported)
+     */
+    async collectPoseDataPerLayer(pageSize, reports=null, layers=null, normalized=null) {
+        const cm = this.canvasManager;
+        let toJson = [];
+        for (const layer of cm.getLayers()) {
+            if (layers && !layers.includes(layer)) continue;
+            const persons = cm.scene.persons.filter(person => person._layer === layer);
+            const canvasSize = layer.getAttr('canvasSize') ?? null;
+            if (persons.length === 0 && !canvasSize) continue;
+
+            const size = canvasSize ?? pageSize;
+            toJson.push({people: [], canvas_width: size.width, canvas_height: size.height});
+            for (const person of persons) {
+                toJson = await dataAccessManager.exportPersonAsOpenPoseJson(person, 'BODY18COMFYUI', toJson, size, {reports, normalized});
+            }
+        }
+        return toJson;
+    }
+
     /**
      * Save JSON data to file
      */
     saveJsonFile(data, fileName) {
         const jsonString = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        this.saveBlob(new Blob([jsonString], { type: 'application/json' }), fileName);
+    }
+
+    /**
+     * Download a blob as a file
+     */
+    saveBlob(blob, fileName) {
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
@@ -435,59 +640,402 @@ export class ToolbarManager {
     }
 
     async exportAsPng() {
+        const renderManager = this.canvasManager.renderManager;
+        if (!renderManager) {
+            throw new Error('RenderManager not initialized');
+        }
+        const options = await this.showPngOptionsDialog();
+        if (!options) return;
         const fileName = await this.showSaveDialog('PNG');
         if (!fileName) return;
 
-        const pageSize = this.canvasManager.getPageSize();
-        const stage = this.canvasManager.stage;
+        let bytes = await renderManager.renderToPng(options);
+
+        // Embed the poses, so importing the PNG restores them
+        const metadata = await this.collectPngMetadata(this.canvasManager.getPageSize(), options.layers);
+        if (metadata) {
+            bytes = embedPoseMetadata(bytes, metadata);
+        }
+        this.saveBlob(new Blob([bytes], { type: 'image/png' }), fileName);
+
+        const { width, height } = renderManager.resolveOutputSize(options);
+        console.log(`Exported ${width}x${height} PNG to ${fileName}`);
+    }
+
+    /**
+     * Export the visible layers as SVG
+     * @param {'controlnet'|'editor'} palette - Colors and sizes of the shapes
+     */
+    async exportAsSvg(palette) {
+        const renderManager = this.canvasManager.renderManager;
+        if (!renderManager) {
+            throw new Error('RenderManager not initialized');
+        }
+        const fileName = await this.showSaveDialog('SVG');
+        if (!fileName) return;
+
+        const svg = await renderManager.renderToSvg({palette});
+        this.saveBlob(new Blob([svg], { type: 'image/svg+xml' }), fileName);
+        console.log(`Exported SVG to ${fileName}`);
+    }
+
+    /**
+     * Export one PNG per ControlNet OpenPose preprocessor (openpose, openpose_hand, openpose_face,
+     * openpose_full), packaged in a zip
+     */
+    async exportAsPartPngs() {
+        const renderManager = this.canvasManager.renderManager;
+        if (!renderManager) {
+            throw new Error('RenderManager not initialized');
+        }
+        const options = await this.showPngOptionsDialog();
+        if (!options) return;
+        const fileName = await this.showSaveDialog('ZIP');
+        if (!fileName) return;
+
+        const metadata = await this.collectPngMetadata(this.canvasManager.getPageSize(), options.layers);
+        const baseName = fileName.replace(/\.zip$/i, '');
+        const files = [];
+        for (const {name, parts} of CONTROLNET_PART_IMAGES) {
+            let bytes = await renderManager.renderToPng({...options, parts});
+            if (metadata) {
+                bytes = embedPoseMetadata(bytes, metadata);
+            }
+            files.push({name: `${baseName}_${name}.png`, data: bytes});
+        }
+        this.saveBlob(new Blob([createZip(files)], { type: 'application/zip' }), fileName);
+        console.log(`Exported ${files.length} part images to ${fileName}`);
+    }
+
+    /**
+     * Export a zip bundle with the pose JSON, the control image (with the poses embedded, as
+     * exportAsPng), the reference images of the exported layers and a manifest describing them
+     * @param {string} format - Pose JSON format
+     */
+    async exportAsBundle(format) {
+        const cm = this.canvasManager;
+        const renderManager = cm.renderManager;
+        if (!renderManager) {
+            throw new Error('RenderManager not initialized');
+        }
+        const options = await this.showPngOptionsDialog();
+        if (!options) return;
+
+        const reports = [];
+        const poseJson = await this.collectPoseJson(format, reports, options.layers, this.exportNormalized);
+        const poseCount = this.countExportedPoses(poseJson);
+        if (poseCount === 0) {
+            this.showExportError('No pose data found to export.');
+            return;
+        }
+        const fileName = await this.showSaveDialog('BUNDLE');
+        if (!fileName) return;
+
+        const baseName = fileName.replace(/\.zip$/i, '');
+        const pageSize = cm.getPageSize();
+        const files = [];
+        const manifest = {
+            type: BUNDLE_MANIFEST_TYPE,
+            version: BUNDLE_MANIFEST_VERSION,
+            created: new Date().toISOString(),
+            pageSize,
+            layers: options.layers.map(layer => layer.name())
+        };
 
-        const oldScale = stage.scaleX();
-        const oldX = stage.x();
-        const oldY = stage.y();
+        const poseFile = `${baseName}.json`;
+        files.push({name: poseFile, data: JSON.stringify(poseJson, null, 2)});
+        manifest.pose = {file: poseFile, format, count: poseCount,
+            ...(COMFYUI_FORMATS.includes(format) ? {normalized: this.exportNormalized} : {})};
 
-        stage.scale({ x: 1, y: 1 });
-        stage.position({ x: 0, y: 0 });
-        stage.batchDraw();
+        let controlImage = await renderManager.renderToPng(options);
+        const metadata = await this.collectPngMetadata(pageSize, options.layers);
+        if (metadata) {
+            controlImage = embedPoseMetadata(controlImage, metadata);
+        }
+        const controlFile = `${baseName}_control.png`;
+        files.push({name: controlFile, data: controlImage});
+        manifest.controlImage = {file: controlFile, ...renderManager.resolveOutputSize(options)};
 
-        const dataURL = stage.toDataURL({
-            pixelRatio: 1,
-            x: 0,
-            y: 0,
-            width: pageSize.width,
-            height: pageSize.height,
-            mimeType: 'image/png'
+        manifest.references = [];
+        const images = cm.scene.drawables.filter(drawable => drawable instanceof DistortableImage
+            && options.layers.includes(drawable._layer) && drawable.imagePath);
+        for (const [i, image] of images.entries()) {
+            const reference = {
+                name: image.name,
+                layer: image._layer.name(),
+                corners: Object.fromEntries(['TopLeft', 'TopRight', 'BotRight', 'BotLeft']
+                    .map(name => [name, image.keypointsDict[name]?.getPosition() ?? null]))
+            };
+            const data = await cm.projectManager?.encodeImage(image);
+            if (data?.startsWith('data:')) {
+                const mimeType = /^data:([^;,]*)/.exec(data)[1];
+                const extension = {'image/jpeg': 'jpg', 'image/svg+xml': 'svg'}[mimeType] ?? (mimeType.split('/')[1] || 'bin');
+                reference.file = `references/${String(i + 1).padStart(2, '0')}_${image.name.replace(/[^\w.-]+/g, '_')}.${extension}`;
+                files.push({name: reference.file, data: new Uint8Array(await (await fetch(data)).arrayBuffer())});
+            } else {
+                // Cross-origin images that cannot be read back are only referenced
+                reference.source = image.imagePath;
+            }
+            manifest.references.push(reference);
+        }
+
+        files.push({name: 'manifest.json', data: JSON.stringify(manifest, null, 2)});
+        this.saveBlob(new Blob([createZip(files)], { type: 'application/zip' }), fileName);
+        console.log(`Exported bundle with ${poseCount} pose(s) and ${manifest.references.length} reference image(s) to ${fileName}`);
+        if (reports.length > 0) {
+            this.showConversionSummary(`Converted ${reports.length} person(s):\n${describeConversions(reports)}`);
+        }
+    }
+
+    /**
+     * Show the PNG render options dialog. The last choices are kept for the next export.
+     * @returns {Promise<Object|null>} RenderManager.render options, or null if cancelled
+     */
+    showPngOptionsDialog() {
+        return new Promise((resolve) => {
+            const cm = this.canvasManager;
+            const page = cm.getPageSize();
+            const last = this.pngOptions ?? {size: 'page', width: page.width, height: page.height, transparent: false, includeImages: false};
+
+            const modal = document.createElement('div');
+            modal.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0,0,0,0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            `;
+
+            const dialog = document.createElement('div');
+            dialog.style.cssText = `
+                background: white;
+                padding: 20px;
+                border-radius: 8px;
+                box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+                max-width: 400px;
+                min-width: 300px;
+            `;
+
+            const inputStyle = 'padding: 6px; border: 1px solid #ccc; border-radius: 4px;';
+            const layerRows = cm.getLayers().map((layer, i) => `
+                <label style="display: block; color: #333;">
+                    <input type="checkbox" class="png-layer" data-index="${i}" ${layer.visible() ? 'checked' : ''}> ${layer.name()}
+                </label>
+            `).join('');
+
+            dialog.innerHTML = `
+                <h3 style="margin-top: 0; color: #333;">PNG Export</h3>
+                <p style="color: #666; margin-bottom: 10px;">Output size:</p>
+                <select id="pngSizeSelect" style="width: 100%; margin-bottom: 10px; ${inputStyle}">
+                    ${RENDER_SIZES.map(({value, label}) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <div id="pngCustomSize" style="display: flex; gap: 10px; align-items: center; margin-bottom: 10px;">
+                    <input type="number" id="pngWidth" min="1" value="${last.width}" style="width: 90px; ${inputStyle}">
+                    <span style="color: #666;">x</span>
+                    <input type="number" id="pngHeight" min="1" value="${last.height}" style="width: 90px; ${inputStyle}">
+                </div>
+                <p id="pngSizeHint" style="color: #666; margin-top: 0; font-size: 12px;"></p>
+                <label style="display: block; color: #333;">
+                    <input type="checkbox" id="pngTransparent" ${last.transparent ? 'checked' : ''}> Transparent background
+                </label>
+                <label style="display: block; color: #333; margin-bottom: 10px;">
+                    <input type="checkbox" id="pngIncludeImages" ${last.includeImages ? 'checked' : ''}> Include reference images
+                </label>
+                <p style="color: #666; margin-bottom: 5px;">Layers:</p>
+                <div style="max-height: 150px; overflow-y: auto; margin-bottom: 20px;">${layerRows}</div>
+                <div style="display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="cancelBtn" style="padding: 8px 16px; border: 1px solid #ccc; background: white; border-radius: 4px; cursor: pointer;">Cancel</button>
+                    <button id="renderBtn" style="padding: 8px 16px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer;">Export</button>
+                </div>
+            `;
+
+            modal.appendChild(dialog);
+            document.body.appendChild(modal);
+
+            const sizeSelect = dialog.querySelector('#pngSizeSelect');
+            const customSize = dialog.querySelector('#pngCustomSize');
+            const widthInput = dialog.querySelector('#pngWidth');
+            const heightInput = dialog.querySelector('#pngHeight');
+            const sizeHint = dialog.querySelector('#pngSizeHint');
+
+            const readOptions = () => ({
+                size: sizeSelect.value,
+                width: Number(widthInput.value),
+                height: Number(heightInput.value),
+                transparent: dialog.querySelector('#pngTransparent').checked,
+                includeImages: dialog.querySelector('#pngIncludeImages').checked,
+                layers: [...dialog.querySelectorAll('.png-layer')]
+                    .filter(checkbox => checkbox.checked)
+                    .map(checkbox => cm.getLayers()[Number(checkbox.dataset.index)])
+            });
+            const updateSize = () => {
+                customSize.style.display = sizeSelect.value === 'custom' ? 'flex' : 'none';
+                try {
+                    const { width, height } = cm.renderManager.resolveOutputSize(readOptions());
+                    sizeHint.textContent = `${width} x ${height} px`;
+                } catch (error) {
+                    sizeHint.textContent = error.message;
+                }
+            };
+            sizeSelect.value = last.size;
+            sizeSelect.onchange = updateSize;
+            widthInput.oninput = updateSize;
+            heightInput.oninput = updateSize;
+            updateSize();
+
+            const close = (options) => {
+                document.body.removeChild(modal);
+                resolve(options);
+            };
+            dialog.querySelector('#cancelBtn').onclick = () => close(null);
+            dialog.querySelector('#renderBtn').onclick = () => {
+                const options = readOptions();
+                try {
+                    cm.renderManager.resolveOutputSize(options);
+                } catch (error) {
+                    sizeHint.textContent = error.message;
+                    return;
+                }
+                if (options.layers.length === 0) {
+                    sizeHint.textContent = 'Select at least one layer';
+                    return;
+                }
+                const { layers, ...remembered } = options;
+                this.pngOptions = remembered;
+                close(options);
+            };
+            modal.onclick = (e) => {
+                if (e.target === modal) close(null);
+            };
         });
+    }
 
-        stage.scale({ x: oldScale, y: oldScale });
-        stage.position({ x: oldX, y: oldY });
-        stage.batchDraw();
+    /**
+     * Pose JSON embedded in exported PNGs (see collectPoseMetadata). Persons that cannot be embedded
+     * are reported in a notification; the image is exported without metadata if it cannot be built.
+     * @param {{width: number, height: number}} pageSize
+     * @param {Konva.Layer[]|null} [layers] - Layers whose persons are embedded (default: all)
+     * @returns {Promise<{format: string, pageSize: Object, pose: Object|Object[]}|null>} Null without persons
+     */
+    async collectPngMetadata(pageSize, layers=null) {
+        const cm = this.canvasManager;
+        const canvases = cm.getLayers()
+            .filter(layer => !layers || layers.includes(layer))
+            .map(layer => ({
+                persons: (cm.scene.persons || []).filter(person => person._layer === layer),
+                canvasSize: layer.getAttr('canvasSize') ?? null
+            }));
 
-        const a = document.createElement('a');
-        a.href = dataURL;
-        a.download = fileName;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        try {
+            const { metadata, reports, skipped } = await collectPoseMetadata(dataAccessManager, canvases, pageSize);
+            if (reports.length > 0) {
+                console.log(`Converted ${reports.length} person(s) for the PNG metadata:\n${describeConversions(reports)}`);
+            }
+            if (skipped.length > 0) {
+                const names = skipped.map(({person}) => `${person.name} (${person.format})`).join(', ');
+                skipped.forEach(({person, error}) => console.warn(`${person.name} not embedded in the PNG metadata:`, error.message));
+                this.showConversionSummary(`Not embedded in the PNG (cannot be saved as ComfyUI poses): ${names}`);
+            }
+            return metadata;
+        } catch (error) {
+            console.error('Failed to collect the PNG metadata:', error);
+            this.showExportError(`The image is exported without embedded poses: ${error.message}`);
+            return null;
+        }
+    }
 
-        console.log(`Exported PNG to ${fileName}`);
+    /**
+     * Export persons as COCO keypoint annotations, one image per layer
+     */
+    async exportAsCOCO() {
+        const cm = this.canvasManager;
+        const pageSize = cm.getPageSize();
+        const images = cm.getLayers()
+            .map(layer => ({
+                fileName: layer.name(),
+                width: pageSize.width,
+                height: pageSize.height,
+                persons: cm.scene.persons.filter(person => person._layer === layer)
+            }))
+            .filter(image => image.persons.length > 0);
+
+        if (images.length === 0) {
+            this.showExportError('No pose data found to export.');
+            return;
+        }
+
+        const cocoJson = await dataAccessManager.exportPersonsAsCOCO(images);
+        const fileName = await this.showSaveDialog('COCO');
+        if (!fileName) return;
+
+        this.saveJsonFile(cocoJson, fileName);
+        console.log(`Exported ${cocoJson.annotations.length} annotation(s) on ${images.length} image(s) to ${fileName}`);
+    }
+
+    async exportAsProject() {
+        const projectManager = this.canvasManager.projectManager;
+        if (!projectManager) {
+            throw new Error('ProjectManager not initialized');
+        }
+        const fileName = await this.showSaveDialog('OPCANVAS');
+        if (!fileName) return;
+
+        await projectManager.saveProjectFile(fileName);
+        console.log(`Saved project to ${fileName}`);
+    }
+
+    /**
+     * Open a project file, replacing the current scene
+     */
+    openProject() {
+        if (!this.projectFileInput) {
+            this.projectFileInput = document.createElement('input');
+            this.projectFileInput.type = 'file';
+            this.projectFileInput.accept = `.${PROJECT_FILE_EXTENSION}`;
+            this.projectFileInput.style.display = 'none';
+            document.body.appendChild(this.projectFileInput);
+            this.projectFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.canvasManager.projectManager?.openProjectFile(file);
+            });
+        }
+        this.projectFileInput.value = ''; // Allow reopening the same file
+        this.projectFileInput.click();
     }
 
     /**
      * Show export error message
      */
     showExportError(message) {
+        this.showNotification(message, '#dc3545', 5000);
+    }
+
+    /**
+     * Show what converting persons to another skeleton changed (estimated or dropped keypoints)
+     */
+    showConversionSummary(message) {
+        this.showNotification(message, '#17a2b8', 10000);
+    }
+
+    showNotification(message, background, duration) {
         const modal = document.createElement('div');
         modal.style.cssText = `
             position: fixed;
             top: 20px;
             right: 20px;
-            background: #dc3545;
+            background: ${background};
             color: white;
             padding: 12px 20px;
             border-radius: 4px;
             box-shadow: 0 2px 4px rgba(0,0,0,0.2);
             z-index: 10001;
             max-width: 300px;
+            white-space: pre-line;
         `;
         
         modal.textContent = message;
@@ -497,7 +1045,7 @@ export class ToolbarManager {
             if (document.body.contains(modal)) {
                 document.body.removeChild(modal);
             }
-        }, 5000);
+        }, duration);
     }
 
     /**
@@ -1,4 +1,7 @@
-import { dataAccessManager } from './openpose-probe.js';
+import { dataAccessManager, SkeletonDataAccess } from './openpose-probe.js';
+import { PROJECT_FILE_EXTENSION } from './project.js';
+import { describeConversions } from './core/conversion.js';
+import { isPng, readPoseMetadata } from './core/png-metadata.js';
 
 export class ToolboxManager {
     /**
@@ -14,6 +17,8 @@ export class ToolboxManager {
         this.addLineBtn = document.getElementById('addLineBtn');
         this.addPersonBtn = document.getElementById('addPersonBtn');
         this.addImageBtn = document.getElementById('addImageBtn');
+        this.personFormatSelect = document.getElementById('personFormatSelect');
+        this.importFormatSelect = document.getElementById('importFormatSelect');
         this.draggedElement = null;
         this.fileInput = null;
         this.importTargetLayerIndex = null;
@@ -28,6 +33,8 @@ export class ToolboxManager {
         
         // Setup file drag-drop on addLayerBtn
         this.setupAddLayerBtnDragDrop();
+
+        this.canvasManager.skeletonRegistryManager?.onChange(formats => this.updateFormatSelects(formats));
         
         this.updateLayerList();
     }
@@ -50,7 +57,28 @@ export class ToolboxManager {
         if (!this.canvasManager.getCurrentPoseLayer()) {
             this.canvasManager.addLayer();
         }
-        this.canvasManager.addPerson();
+        const format = this.personFormatSelect?.value || 'BODY18';
+        // Load the skeleton first, so a broken definition is reported instead of an empty person
+        dataAccessManager.loadSkeletonData(format)
+            .then(() => this.canvasManager.addPerson(undefined, null, {format}))
+            .catch(error => this.canvasManager.toolbarManager?.showNotification(error.message, '#dc3545', 5000));
+    }
+
+    /**
+     * Fill the skeleton selects with the available formats, keeping their selection
+     * @param {string[]} formats - Built-in and custom format IDs
+     */
+    updateFormatSelects(formats) {
+        const fill = (select, options) => {
+            if (!select) return;
+            const selected = select.value;
+            select.innerHTML = '';
+            options.forEach(([value, label]) => select.add(new Option(label, value)));
+            if (options.some(([value]) => value === selected)) select.value = selected;
+        };
+        const formatOptions = formats.map(formatId => [formatId, formatId]);
+        fill(this.personFormatSelect, formatOptions);
+        fill(this.importFormatSelect, [['', 'File format'], ...formatOptions]);
     }
 
     addImage() {
@@ -232,7 +260,7 @@ export class ToolboxManager {
         if (!this.fileInput) {
             this.fileInput = document.createElement('input');
             this.fileInput.type = 'file';
-            this.fileInput.accept = '.json,.png,.jpg,.jpeg,.gif,.webp';
+            this.fileInput.accept = `.json,.${PROJECT_FILE_EXTENSION},.png,.jpg,.jpeg,.gif,.webp`;
             this.fileInput.style.display = 'none';
             document.body.appendChild(this.fileInput);
             this.fileInput.addEventListener('change', (e) => this.handleFileImport(e));
@@ -269,10 +297,14 @@ export class ToolboxManager {
 
         if (fileExtension === 'json') {
             this.importJSONFile(file, layerIndex);
-        } else if (['png', 'jpg', 'jpeg', 'gif', 'webp'].includes(fileExtension)) {
+        } else if (fileExtension === PROJECT_FILE_EXTENSION) {
+            this.canvasManager.projectManager?.openProjectFile(file);
+        } else if (fileExtension === 'png') {
+            this.importPngFile(file, layerIndex);
+        } else if (['jpg', 'jpeg', 'gif', 'webp'].includes(fileExtension)) {
             this.importImageFile(file, layerIndex);
         } else {
-            alert('Unsupported file type. Please use JSON or image files (PNG, JPG, GIF, WebP).');
+            alert(`Unsupported file type. Please use JSON, .${PROJECT_FILE_EXTENSION} project or image files (PNG, JPG, GIF, WebP).`);
         }
     }
 
@@ -287,13 +319,18 @@ export class ToolboxManager {
         
         fetch(jsonUrl)
             .then(res => res.json())
-            .then(openPoseJsonData => 
-                this.dataAccessManager.loadOpenPoseJsonToSkeletonData(openPoseJsonData)
-            )
-            .then(personDataArr => {
-                personDataArr.forEach(personData => {
-                    this.canvasManager.addPerson({x: 0, y: 0}, personData);
-                });
+            .then(async jsonData => {
+                if (SkeletonDataAccess.isSkeletonDefinition(jsonData)) {
+                    this.registerSkeletonDefinition(jsonData);
+                    return;
+                }
+                if (SkeletonDataAccess.isCOCOAnnotationData(jsonData)) {
+                    await this.importCOCOAnnotations(jsonData, layerIndex);
+                    return;
+                }
+                await this.importPoseJson(jsonData, layerIndex);
+            })
+            .then(() => {
                 console.log(`JSON file ${file.name} imported successfully`);
             })
             .catch(error => {
@@ -304,6 +341,185 @@ export class ToolboxManager {
             });
     }
 
+    /**
+     * Import the persons of OpenPose JSON, converted to the "Import as" skeleton if one is selected
+     * @param {Object|Object[]} jsonData - OpenPose JSON data
+     * @param {number} layerIndex - Target layer index
+     */
+    async importPoseJson(jsonData, layerIndex) {
+        const reports = [];
+        const personDataArr = await this.dataAccessManager.loadOpenPoseJsonToSkeletonData(jsonData, {
+            pageSize: this.canvasManager.getPageSize(),
+            asFormat: this.importFormatSelect?.value || null,
+            reports
+        });
+        await this.importPersonsByCanvas(personDataArr, jsonData, layerIndex);
+        if (reports.length > 0) {
+            console.log(`Converted ${reports.length} imported person(s):\n${describeConversions(reports)}`);
+            this.canvasManager.toolbarManager?.showConversionSummary(describeConversions(reports));
+        }
+    }
+
+    /**
+     * Import a PNG: the poses embedded by the PNG export if it has them, else the image itself
+     * @param {File} file - PNG file
+     * @param {number} layerIndex - Target layer index
+     */
+    async importPngFile(file, layerIndex) {
+        let metadata = null;
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            metadata = isPng(bytes) ? readPoseMetadata(bytes) : null;
+        } catch (error) {
+            console.warn(`Ignoring pose metadata of ${file.name}:`, error.message);
+        }
+        if (!metadata) {
+            this.importImageFile(file, layerIndex);
+            return;
+        }
+
+        try {
+            this.canvasManager.setCurrentLayer(layerIndex);
+            const { width, height } = metadata.pageSize ?? {};
+            if (width && height) {
+                this.canvasManager.changePageSize(width, height);
+            }
+            await this.importPoseJson(metadata.pose, layerIndex);
+            console.log(`Poses of PNG file ${file.name} imported successfully`);
+        } catch (error) {
+            alert('Error importing poses from PNG file: ' + error.message);
+        }
+    }
+
+    /**
+     * Register a custom skeleton and select it for new persons
+     * Invalid definitions throw; warnings (e.g. missing ControlNet colors) are shown
+     * @param {Object} definition - Skeleton definition, in the schema of data/*.json
+     */
+    registerSkeletonDefinition(definition) {
+        const registry = this.canvasManager.skeletonRegistryManager;
+        if (!registry) {
+            throw new Error('SkeletonRegistryManager not initialized');
+        }
+        const formatId = registry.register(definition);
+        if (this.personFormatSelect) this.personFormatSelect.value = formatId;
+        console.log(`Registered skeleton ${formatId}`);
+
+        const { warnings } = SkeletonDataAccess.validateSkeletonDefinition(definition);
+        if (warnings.length > 0) {
+            console.warn(`Skeleton ${formatId}:\n${warnings.join('\n')}`);
+            this.canvasManager.toolbarManager?.showNotification(
+                `Registered skeleton ${formatId} with warnings:\n${warnings.join('\n')}`, '#e0a800', 10000
+            );
+        }
+    }
+
+    /**
+     * Import COCO keypoint annotations, one layer per image.
+     * The first image goes into the target layer if it is still empty.
+     * @param {Object} cocoJson - COCO annotation data
+     * @param {number} layerIndex - Target layer index
+     */
+    async importCOCOAnnotations(cocoJson, layerIndex) {
+        const cm = this.canvasManager;
+        const images = await this.dataAccessManager.loadCOCOAnnotationsToSkeletonData(cocoJson);
+
+        const widths = images.map(image => image.width).filter(Boolean);
+        const heights = images.map(image => image.height).filter(Boolean);
+        if (widths.length > 0 && heights.length > 0) {
+            cm.changePageSize(Math.max(...widths), Math.max(...heights));
+        }
+
+        for (const [i, image] of images.entries()) {
+            const targetLayer = cm.getLayers()[layerIndex];
+            const reuseTarget = i === 0 && targetLayer
+                && !cm.scene.drawables.some(drawable => drawable._layer === targetLayer);
+            if (reuseTarget) {
+                cm.setCurrentLayer(layerIndex);
+            } else {
+                cm.addLayer();
+            }
+            cm.renameLayer(cm.currentLayerIndex, image.fileName || `Image ${image.imageId}`);
+
+            for (const personData of image.people) {
+                await this.addPersonFromData(personData);
+            }
+        }
+        this.updateLayerList();
+    }
+
+    /**
+     * Import persons one layer per canvas (`layer_id`) of a multi-canvas ComfyUI file.
+     * The first canvas goes into the target layer; later canvases reuse the following layer
+     * if it is still empty, else get a new one. Each layer remembers its canvas size so the
+     * per-layer ComfyUI export can write it back.
+     * @param {Object[]} personDataArr - Skeleton data tagged with layer_id and canvasSize
+     * @param {Object|Object[]} jsonData - Imported JSON, for the sizes of canvases without people
+     * @param {number} layerIndex - Target layer index
+     */
+    async importPersonsByCanvas(personDataArr, jsonData, layerIndex) {
+        const cm = this.canvasManager;
+        const canvasSizes = Array.isArray(jsonData)
+            ? jsonData.map(canvas => (canvas?.canvas_width && canvas?.canvas_height)
+                ? {width: canvas.canvas_width, height: canvas.canvas_height} : null)
+            : [];
+        personDataArr.forEach(personData => {
+            canvasSizes[personData.layer_id ?? 0] ??= personData.canvasSize ?? null;
+        });
+        const canvasCount = Math.max(canvasSizes.length, 1);
+
+        const sizes = canvasSizes.filter(Boolean);
+        if (sizes.length > 0) {
+            cm.changePageSize(Math.max(...sizes.map(size => size.width)), Math.max(...sizes.map(size => size.height)));
+        }
+
+        let currentIndex = layerIndex;
+        for (let canvasId = 0; canvasId < canvasCount; canvasId++) {
+            if (canvasId > 0) {
+                const candidate = cm.getLayers()[currentIndex + 1];
+                if (candidate && !cm.scene.drawables.some(drawable => drawable._layer === candidate)) {
+                    currentIndex++;
+                    cm.setCurrentLayer(currentIndex);
+                } else {
+                    cm.addLayer();
+                    currentIndex = cm.currentLayerIndex;
+                }
+            } else {
+                cm.setCurrentLayer(currentIndex);
+            }
+            if (canvasCount > 1 || canvasSizes[0]) {
+                cm.getLayers()[currentIndex].setAttr('canvasSize', canvasSizes[canvasId] ?? cm.getPageSize());
+            }
+
+            const people = personDataArr.filter(personData => (personData.layer_id ?? 0) === canvasId);
+            for (const personData of people) {
+                await this.addPersonFromData(personData);
+            }
+        }
+        this.updateLayerList();
+    }
+
+    /**
+     * Add an imported person to the current layer
+     * @param {Object} personData - Skeleton data; keypoints listed in hiddenKeypoints are hidden,
+     *     and keypoints keep their scores from confidences
+     * @returns {Promise<Person|null>}
+     */
+    async addPersonFromData(personData) {
+        const person = await this.canvasManager.addPerson({x: 0, y: 0}, personData, {
+            format: personData.format,
+            sourceData: personData.sourceData ?? null
+        });
+        const confidences = Object.entries(personData.confidences ?? {});
+        if (person && (personData.hiddenKeypoints?.length > 0 || confidences.length > 0)) {
+            person.overStateChange(() => {
+                personData.hiddenKeypoints?.forEach(name => person.keypointsDict[name]?.setVisible(false));
+                confidences.forEach(([name, confidence]) => person.keypointsDict[name]?.setConfidence(confidence));
+            });
+        }
+        return person;
+    }
+
     /**
      * Import image file as Image
      * @param {File} file - Image file
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const CLI = fileURLToPath(new URL('../bin/openpose-canvas.js', import.meta.url));
+const run = promisify(execFile);
+
+// 18 keypoints [x, y, confidence] normalized to the canvas
+const keypoints = (x, y) => Array.from({length: 18}, (_, i) => [x + i / 100, y + i / 100, 1]).flat();
+const MULTI_CANVAS = [
+    {people: [{pose_keypoints_2d: keypoints(0.5, 0.1)}], canvas_width: 512, canvas_height: 512},
+    {people: [{pose_keypoints_2d: keypoints(0.25, 0.75)}], canvas_width: 256, canvas_height: 1024}
+];
+
+async function convert(input, ...args) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'openpose-canvas-'));
+    try {
+        const file = path.join(dir, 'input.json');
+        await writeFile(file, JSON.stringify(input));
+        await run(process.execPath, [CLI, 'convert', file, '--out-dir', path.join(dir, 'out'), ...args]);
+        return JSON.parse(await readFile(path.join(dir, 'out', 'input.json'), 'utf8'));
+    } finally {
+        await rm(dir, {recursive: true, force: true});
+    }
+}
+
+test('convert keeps the size and normalized coordinates of each ComfyUI canvas', async () => {
+    const result = await convert(MULTI_CANVAS, '--to', 'BODY18COMFYUI');
+    assert.deepEqual(result.map(canvas => [canvas.canvas_width, canvas.canvas_height]), [[512, 512], [256, 1024]]);
+    result.forEach((canvas, i) => canvas.people[0].pose_keypoints_2d.forEach((value, j) => {
+        assert.ok(Math.abs(value - MULTI_CANVAS[i].people[0].pose_keypoints_2d[j]) < 1e-9, `canvas ${i}, value ${j}`);
+    }));
+});
+
+test('--width and --height override the canvas size of the input', async () => {
+    const result = await convert(MULTI_CANVAS, '--to', 'BODY18COMFYUI', '--coordinates', 'pixels', '--width', '800', '--height', '600');
+    assert.deepEqual(result.map(canvas => [canvas.canvas_width, canvas.canvas_height]), [[800, 600], [800, 600]]);
+});
+
+test('invalid --coordinates values are rejected', async () => {
+    await assert.rejects(convert(MULTI_CANVAS, '--to', 'BODY18COMFYUI', '--coordinates', 'inches'),
+        error => error.code === 1 && /--coordinates must be/.test(error.stderr));
+});
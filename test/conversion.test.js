@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Pose, convertPose, describeConversions } from '../js/core/index.js';
+import { createDataAccess, loadDefaultPose } from './helpers.js';
+
+const dataAccess = createDataAccess();
+const BODY_NAMES = ['Nose', 'Neck', 'RShoulder', 'RElbow', 'RWrist', 'LShoulder', 'LElbow', 'LWrist',
+    'RHip', 'RKnee', 'RAnkle', 'LHip', 'LKnee', 'LAnkle', 'REye', 'LEye', 'REar', 'LEar'];
+
+function positionsOf(pose, names) {
+    return Object.fromEntries(names.map(name => [name, pose.keypointsDict[name]?.getPosition() ?? null]));
+}
+
+test('BODY18 -> BODY25 -> BODY18 keeps the body and estimates MidHip and feet', async () => {
+    const { pose } = await loadDefaultPose(dataAccess, 'BODY18');
+    const body25 = await dataAccess.loadSkeletonData('BODY25');
+    const body18 = await dataAccess.loadSkeletonData('BODY18');
+
+    const { pose: converted, report } = convertPose(pose, body25);
+    assert.equal(converted.format, 'BODY25');
+    assert.ok(report.estimated.includes('MidHip'));
+    assert.ok(report.estimated.includes('LBigToe'));
+    assert.ok(report.dropped.includes('Face_0'));
+    const midHip = converted.keypointsDict.MidHip.getPosition();
+    const [rHip, lHip] = ['RHip', 'LHip'].map(name => pose.keypointsDict[name].getPosition());
+    assert.deepEqual(midHip, {x: (rHip.x + lHip.x) / 2, y: (rHip.y + lHip.y) / 2});
+
+    const { pose: back, report: backReport } = convertPose(converted, body18);
+    assert.deepEqual(positionsOf(back, BODY_NAMES), positionsOf(pose, BODY_NAMES));
+    assert.deepEqual(backReport.dropped.sort(), ['LBigToe', 'LHeel', 'LSmallToe', 'MidHip', 'RBigToe', 'RHeel', 'RSmallToe']);
+});
+
+test('exporting BODY25 to ComfyUI reports the dropped keypoints', async () => {
+    const { pose } = await loadDefaultPose(dataAccess, 'BODY25');
+    const reports = [];
+    const json = await dataAccess.exportPersonAsOpenPoseJson(pose, 'BODY18COMFYUI', null, {width: 512, height: 512}, {reports});
+    assert.equal(json[0].people[0].pose_keypoints_2d.length, 18 * 3);
+    assert.match(describeConversions(reports), /BODY25 → BODY18COMFYUI .*dropped MidHip/);
+});
+
+test('exporting COCO-WholeBody to ComfyUI keeps the face and hands', async () => {
+    const { pose } = await loadDefaultPose(dataAccess, 'COCOWHOLEBODY');
+    const json = await dataAccess.exportPersonAsOpenPoseJson(pose, 'BODY18COMFYUI', null, {width: 512, height: 512}, {reports: []});
+    const person = json[0].people[0];
+    assert.ok(person.face_keypoints_2d.length >= 68 * 3);
+    assert.equal(person.hand_left_keypoints_2d.length, 21 * 3);
+    assert.equal(person.hand_right_keypoints_2d.length, 21 * 3);
+});
+
+test('multi-canvas ComfyUI files round-trip with their canvas sizes and normalized coordinates', async () => {
+    // 18 keypoints [x, y, confidence], spread over the canvas
+    const keypoints = (x, y) => BODY_NAMES.flatMap((name, i) => [x + i / 100, y + i / 100, 1]);
+    const input = [
+        {people: [{pose_keypoints_2d: keypoints(0.5, 0.1)}], canvas_width: 512, canvas_height: 512},
+        {people: [{pose_keypoints_2d: keypoints(0.25, 0.75)}], canvas_width: 256, canvas_height: 1024}
+    ];
+    const skeletons = await dataAccess.loadOpenPoseJsonToSkeletonData(structuredClone(input), {pageSize: {width: 1024, height: 1024}});
+    assert.deepEqual(skeletons.map(skeletonData => skeletonData.layer_id), [0, 1]);
+    // Denormalized against their own canvas
+    assert.deepEqual(skeletons[1].positions.slice(0, 2), [64, 768]);
+
+    let json = null;
+    for (const [i, skeletonData] of skeletons.entries()) {
+        if (json !== null) json.push({people: [], canvas_width: 0, canvas_height: 0});
+        json = await dataAccess.exportPersonAsOpenPoseJson(Pose.fromSkeletonData(skeletonData, `Person${i + 1}`),
+            'BODY18COMFYUI', json, skeletonData.canvasSize);
+    }
+    assert.equal(json.length, 2);
+    input.forEach((canvas, i) => {
+        assert.equal(json[i].canvas_width, canvas.canvas_width);
+        assert.equal(json[i].canvas_height, canvas.canvas_height);
+        json[i].people[0].pose_keypoints_2d.forEach((value, j) => {
+            assert.ok(Math.abs(value - canvas.people[0].pose_keypoints_2d[j]) < 1e-9, `canvas ${i}, value ${j}`);
+        });
+    });
+});
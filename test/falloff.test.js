@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyFalloff, buildAdjacency, falloffWeight, getGraphDistances, snapshotKeypoints } from '../js/core/falloff.js';
+import { createDataAccess, edgeNames, loadDefaultPose } from './helpers.js';
+
+const dataAccess = createDataAccess();
+
+async function loadFace() {
+    const { pose, skeletonData } = await loadDefaultPose(dataAccess, 'BODY18');
+    return {pose, adjacency: buildAdjacency(skeletonData.names, edgeNames(skeletonData))};
+}
+
+function offsetY(pose, snapshot, name) {
+    return pose.keypointsDict[name].getPosition().y - snapshot[name].position.y;
+}
+
+test('falloff weights decrease smoothly from 1 to 0 past the radius', () => {
+    assert.equal(falloffWeight(0, 2), 1);
+    assert.ok(falloffWeight(1, 2) > falloffWeight(2, 2));
+    assert.ok(falloffWeight(2, 2) > 0);
+    assert.equal(falloffWeight(3, 2), 0);
+});
+
+test('graph distances count edges from the nearest source', async () => {
+    const { adjacency } = await loadFace();
+    const distances = getGraphDistances(adjacency, ['Face_8', 'Face_0'], 2);
+    assert.deepEqual(distances.get('Face_6'), {distance: 2, source: 'Face_8'});
+    assert.deepEqual(distances.get('Face_1'), {distance: 1, source: 'Face_0'});
+    assert.equal(distances.has('Face_5'), false);
+});
+
+test('neighbours follow a moved keypoint, weighted by their edge distance', async () => {
+    const { pose, adjacency } = await loadFace();
+    const snapshot = snapshotKeypoints(pose);
+    const chin = pose.keypointsDict.Face_8;
+    chin.setPosition({x: chin.getPosition().x, y: chin.getPosition().y + 10});
+
+    const moved = applyFalloff(pose, adjacency, snapshot, ['Face_8'], 2);
+    assert.deepEqual(moved.sort(), ['Face_10', 'Face_6', 'Face_7', 'Face_9']);
+    assert.ok(Math.abs(offsetY(pose, snapshot, 'Face_7') - 10 * falloffWeight(1, 2)) < 1e-9);
+    assert.ok(Math.abs(offsetY(pose, snapshot, 'Face_10') - 10 * falloffWeight(2, 2)) < 1e-9);
+    assert.equal(offsetY(pose, snapshot, 'Face_5'), 0);
+});
+
+test('shrinking the radius puts keypoints out of it back, and fixed keypoints never move', async () => {
+    const { pose, adjacency } = await loadFace();
+    const snapshot = snapshotKeypoints(pose);
+    const chin = pose.keypointsDict.Face_8;
+    chin.setPosition({x: chin.getPosition().x, y: chin.getPosition().y + 10});
+
+    const isFixed = name => name === 'Face_9';
+    applyFalloff(pose, adjacency, snapshot, ['Face_8'], 3, {isFixed});
+    assert.equal(offsetY(pose, snapshot, 'Face_9'), 0);
+    assert.ok(offsetY(pose, snapshot, 'Face_5') > 0);
+
+    // Face_7 stays in the radius, with a smaller weight
+    const moved = applyFalloff(pose, adjacency, snapshot, ['Face_8'], 1, {isFixed});
+    assert.deepEqual(moved.sort(), ['Face_10', 'Face_11', 'Face_5', 'Face_6', 'Face_7']);
+    assert.equal(offsetY(pose, snapshot, 'Face_9'), 0);
+    for (const name of ['Face_5', 'Face_6', 'Face_10', 'Face_11']) {
+        assert.deepEqual(pose.keypointsDict[name].getPosition(), snapshot[name].position, name);
+    }
+    // Nothing left to move
+    assert.deepEqual(applyFalloff(pose, adjacency, snapshot, ['Face_8'], 1, {isFixed}), []);
+});
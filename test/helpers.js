@@ -0,0 +1,37 @@
+/**
+ * Shared fixtures of the core tests: skeleton data read from data/ through the Node loader
+ */
+import { SkeletonDataAccess, Pose } from '../js/core/index.js';
+import { createFileLoader } from '../js/core/node-loader.js';
+
+export function createDataAccess() {
+    return new SkeletonDataAccess({loader: createFileLoader()});
+}
+
+/**
+ * Bones of skeleton data as [start, end] vertex names
+ * @param {Object} skeletonData - From SkeletonDataAccess.loadSkeletonData
+ * @returns {Array<[string, string]>}
+ */
+export function edgeNames(skeletonData) {
+    const edges = [];
+    for (let i = 0; i < skeletonData.edges.length; i += 2) {
+        edges.push([skeletonData.names[skeletonData.edges[i]], skeletonData.names[skeletonData.edges[i + 1]]]);
+    }
+    return edges;
+}
+
+/**
+ * Default pose of a skeleton format, every keypoint placed
+ * @param {SkeletonDataAccess} dataAccess
+ * @param {string} format
+ * @returns {Promise<{pose: Pose, skeletonData: Object}>}
+ */
+export async function loadDefaultPose(dataAccess, format) {
+    const skeletonData = await dataAccess.loadSkeletonData(format);
+    return {pose: Pose.fromSkeletonData(skeletonData, 'Person1'), skeletonData};
+}
+
+export function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildJointHierarchy, dragJoint, getDescendants, getIkChain, ikDragJoint, solveFabrik
+} from '../js/core/kinematics.js';
+import { createDataAccess, distance, edgeNames, loadDefaultPose } from './helpers.js';
+
+const dataAccess = createDataAccess();
+
+async function loadRig(format = 'BODY18') {
+    const { pose, skeletonData } = await loadDefaultPose(dataAccess, format);
+    const edges = edgeNames(skeletonData);
+    return {pose, edges, hierarchy: buildJointHierarchy(skeletonData.names, edges)};
+}
+
+function boneLengths(pose, edges) {
+    return edges.map(([start, end]) => distance(pose.keypointsDict[start].getPosition(), pose.keypointsDict[end].getPosition()));
+}
+
+function assertLengthsKept(before, after) {
+    before.forEach((length, i) => assert.ok(Math.abs(after[i] - length) < 1e-6, `bone #${i}: ${length} -> ${after[i]}`));
+}
+
+test('the joint hierarchy is rooted at the Neck and covers disconnected parts', async () => {
+    const { hierarchy, pose } = await loadRig();
+    assert.equal(hierarchy.parents.Neck, null);
+    assert.equal(hierarchy.parents.RElbow, 'RShoulder');
+    assert.equal(hierarchy.parents.RWrist, 'RElbow');
+    const downstream = getDescendants(hierarchy, 'RElbow');
+    assert.equal(downstream[0], 'RWrist');
+    assert.ok(downstream.includes('RHand_8'));
+    assert.ok(!downstream.includes('LWrist'));
+    // Every keypoint is in the forest
+    assert.deepEqual(Object.keys(hierarchy.parents).sort(), Object.keys(pose.keypointsDict).sort());
+});
+
+test('FK drags rotate the downstream chain rigidly, keeping every bone length', async () => {
+    const { pose, edges, hierarchy } = await loadRig();
+    const before = boneLengths(pose, edges);
+    const shoulder = pose.keypointsDict.RShoulder.getPosition();
+    const from = pose.keypointsDict.RElbow.getPosition();
+    const to = {x: from.x + 80, y: from.y - 120};
+
+    const moved = dragJoint(pose, hierarchy, 'RElbow', from, to);
+    assert.equal(moved[0], 'RElbow');
+    assert.ok(moved.includes('RHand_20'));
+    assertLengthsKept(before, boneLengths(pose, edges));
+    assert.deepEqual(pose.keypointsDict.RShoulder.getPosition(), shoulder);
+
+    // The joint lies on the line from its pivot to the target
+    const elbow = pose.keypointsDict.RElbow.getPosition();
+    const cross = (elbow.x - shoulder.x) * (to.y - shoulder.y) - (elbow.y - shoulder.y) * (to.x - shoulder.x);
+    assert.ok(Math.abs(cross) < 1e-6);
+});
+
+test('FK drags leave fixed keypoints in place', async () => {
+    const { pose, hierarchy } = await loadRig();
+    const finger = pose.keypointsDict.RHand_8.getPosition();
+    const from = pose.keypointsDict.RElbow.getPosition();
+    const moved = dragJoint(pose, hierarchy, 'RElbow', from, {x: from.x, y: from.y + 50}, {isFixed: name => name === 'RHand_8'});
+    assert.ok(!moved.includes('RHand_8'));
+    assert.deepEqual(pose.keypointsDict.RHand_8.getPosition(), finger);
+});
+
+test('dragging a root translates its whole tree', async () => {
+    const { pose, hierarchy } = await loadRig();
+    const ankle = pose.keypointsDict.LAnkle.getPosition();
+    const from = pose.keypointsDict.Neck.getPosition();
+    dragJoint(pose, hierarchy, 'Neck', from, {x: from.x + 5, y: from.y - 7});
+    assert.deepEqual(pose.keypointsDict.LAnkle.getPosition(), {x: ankle.x + 5, y: ankle.y - 7});
+});
+
+test('FABRIK reaches targets in range, keeping the anchor and the segment lengths', () => {
+    const points = [{x: 0, y: 0}, {x: 10, y: 0}, {x: 20, y: 0}];
+    const target = {x: 12, y: 9};
+    const result = solveFabrik(points, target);
+    assert.deepEqual(result[0], points[0]);
+    assert.ok(distance(result[2], target) <= 0.01);
+    assert.ok(Math.abs(distance(result[0], result[1]) - 10) < 1e-9);
+    assert.ok(Math.abs(distance(result[1], result[2]) - 10) < 1e-9);
+});
+
+test('FABRIK stretches the chain straight towards out-of-reach targets', () => {
+    const result = solveFabrik([{x: 0, y: 0}, {x: 0, y: 10}, {x: 10, y: 10}], {x: 100, y: 0});
+    assert.deepEqual(result, [{x: 0, y: 0}, {x: 10, y: 0}, {x: 20, y: 0}]);
+});
+
+test('IK chains go two bones up, or up to the nearest pinned ancestor', async () => {
+    const { pose, hierarchy } = await loadRig();
+    assert.deepEqual(getIkChain(pose, hierarchy, 'RWrist'), ['RShoulder', 'RElbow', 'RWrist']);
+    assert.deepEqual(getIkChain(pose, hierarchy, 'RWrist', {isPinned: name => name === 'Neck'}), ['Neck', 'RShoulder', 'RElbow', 'RWrist']);
+    assert.deepEqual(getIkChain(pose, hierarchy, 'LAnkle', {maxBones: 1}), ['LKnee', 'LAnkle']);
+});
+
+test('IK drags reach the target and keep every bone length', async () => {
+    const { pose, edges, hierarchy } = await loadRig();
+    const before = boneLengths(pose, edges);
+    const shoulder = pose.keypointsDict.RShoulder.getPosition();
+    const from = pose.keypointsDict.RWrist.getPosition();
+    const to = {x: from.x + 60, y: from.y - 90};
+
+    const moved = ikDragJoint(pose, hierarchy, 'RWrist', from, to);
+    assert.ok(moved.includes('RElbow') && moved.includes('RHand_8'));
+    assert.ok(distance(pose.keypointsDict.RWrist.getPosition(), to) <= 0.01);
+    assert.deepEqual(pose.keypointsDict.RShoulder.getPosition(), shoulder);
+    assertLengthsKept(before, boneLengths(pose, edges));
+});
+
+test('IK drags keep pinned anchors and fixed off-chain keypoints in place', async () => {
+    const { pose, hierarchy } = await loadRig();
+    const pinned = new Set(['Neck', 'RHand_8']);
+    const isPinned = name => pinned.has(name);
+    const neck = pose.keypointsDict.Neck.getPosition();
+    const finger = pose.keypointsDict.RHand_8.getPosition();
+    const from = pose.keypointsDict.RWrist.getPosition();
+
+    const moved = ikDragJoint(pose, hierarchy, 'RWrist', from, {x: from.x - 30, y: from.y + 20}, {isPinned});
+    assert.ok(moved.includes('RShoulder'));
+    assert.ok(!moved.includes('RHand_8'));
+    assert.deepEqual(pose.keypointsDict.Neck.getPosition(), neck);
+    assert.deepEqual(pose.keypointsDict.RHand_8.getPosition(), finger);
+});
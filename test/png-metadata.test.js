@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+
+import { crc32 } from '../js/core/crc32.js';
+import {
+    collectPoseMetadata, embedPoseMetadata, isPng, readPngText, readPoseMetadata, writePngText
+} from '../js/core/png-metadata.js';
+import { createDataAccess, loadDefaultPose } from './helpers.js';
+
+const dataAccess = createDataAccess();
+
+function chunk(type, data) {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    bytes.set(Buffer.from(type, 'latin1'), 4);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+    return bytes;
+}
+
+/**
+ * 1x1 black RGB PNG, with optional extra chunks after the header
+ */
+function createPng(extraChunks = []) {
+    const header = new Uint8Array(13);
+    new DataView(header.buffer).setUint32(0, 1);
+    new DataView(header.buffer).setUint32(4, 1);
+    header.set([8, 2, 0, 0, 0], 8);
+    return Buffer.concat([
+        Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+        chunk('IHDR', header),
+        ...extraChunks,
+        chunk('IDAT', deflateSync(Buffer.from([0, 0, 0, 0]))),
+        chunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+test('iTXt text round-trips, replacing text of the same keyword', () => {
+    const png = createPng([chunk('tEXt', Buffer.from('Comment\0caf\xe9', 'latin1'))]);
+    assert.ok(isPng(png));
+    assert.deepEqual(readPngText(png), {Comment: 'café'});
+
+    let written = writePngText(png, 'Comment', 'ポーズ ✓');
+    written = writePngText(written, 'Other', 'text');
+    assert.deepEqual(readPngText(written), {Comment: 'ポーズ ✓', Other: 'text'});
+    assert.ok(isPng(written));
+});
+
+test('invalid keywords and non-PNG data are rejected', () => {
+    assert.throws(() => writePngText(createPng(), '', 'text'), /Invalid PNG text keyword/);
+    assert.throws(() => readPngText(new Uint8Array([1, 2, 3])), /Not a PNG file/);
+});
+
+test('pose metadata round-trips through a PNG', () => {
+    const metadata = {format: 'BODY18COMFYUI', pageSize: {width: 512, height: 768}, pose: [{people: [], canvas_width: 512, canvas_height: 768}]};
+    const record = readPoseMetadata(embedPoseMetadata(createPng(), metadata));
+    assert.deepEqual(record, {version: 1, ...metadata});
+    assert.equal(readPoseMetadata(createPng()), null);
+});
+
+test('pose metadata of a mixed BODY18 + MEDIAPIPEHAND scene leaves the hand out', async () => {
+    const { pose: body } = await loadDefaultPose(dataAccess, 'BODY18');
+    const { pose: hand } = await loadDefaultPose(dataAccess, 'MEDIAPIPEHAND');
+    const pageSize = {width: 1024, height: 1024};
+
+    const { metadata, skipped } = await collectPoseMetadata(dataAccess, [{persons: [body, hand], canvasSize: null}], pageSize);
+    assert.equal(metadata.format, 'BODY18COMFYUI');
+    assert.equal(metadata.pose.length, 1);
+    assert.equal(metadata.pose[0].people.length, 1);
+    assert.deepEqual(skipped.map(({person}) => person), [hand]);
+
+    // The embedded poses import back
+    const record = readPoseMetadata(embedPoseMetadata(createPng(), metadata));
+    const skeletons = await dataAccess.loadOpenPoseJsonToSkeletonData(record.pose, {pageSize});
+    assert.equal(skeletons.length, 1);
+});
+
+test('pose metadata of a scene of one non-ComfyUI skeleton keeps that skeleton', async () => {
+    const { pose: hand } = await loadDefaultPose(dataAccess, 'MEDIAPIPEHAND');
+    const { metadata, skipped } = await collectPoseMetadata(dataAccess, [{persons: [hand], canvasSize: null}], {width: 512, height: 512});
+    assert.equal(metadata.format, 'MEDIAPIPEHAND');
+    assert.deepEqual(skipped, []);
+    assert.equal((await collectPoseMetadata(dataAccess, [{persons: [], canvasSize: null}], {width: 512, height: 512})).metadata, null);
+});
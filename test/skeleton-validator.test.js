@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'node:fs/promises';
+
+import { SkeletonDataAccess } from '../js/core/index.js';
+import { DEFAULT_DATA_DIR } from '../js/core/node-loader.js';
+import { createDataAccess } from './helpers.js';
+
+const validate = (definition) => SkeletonDataAccess.validateSkeletonDefinition(definition);
+
+function triangle() {
+    return {
+        format: 'TRIANGLE',
+        vertices: {A: [0, 0], B: [10, 0], C: [5, 10]},
+        edges: [['A', 'B'], ['B', 'C']],
+        limbs: {Body: ['A', 'B', 'C']},
+        controlnet: {
+            keypoint_colors: {A: '#ff0000', B: '#00ff00', C: '#0000ff'},
+            bone_colors: {AToB: '#ffffff', BToC: '#ffffff'}
+        }
+    };
+}
+
+test('the shipped skeleton definitions are valid', async () => {
+    for (const file of (await readdir(DEFAULT_DATA_DIR)).filter(name => name.endsWith('.json'))) {
+        const { errors } = validate(JSON.parse(await readFile(`${DEFAULT_DATA_DIR}/${file}`, 'utf8')));
+        assert.deepEqual(errors, [], file);
+    }
+});
+
+test('a complete definition has neither errors nor warnings', () => {
+    assert.deepEqual(validate(triangle()), {errors: [], warnings: []});
+});
+
+test('schema errors are reported', () => {
+    assert.deepEqual(validate([]).errors, ['A skeleton definition must be a JSON object']);
+    const { errors } = validate({...triangle(), format: '', vertices: {A: [0]}});
+    assert.ok(errors.includes('"format" must be a non-empty string'));
+    assert.ok(errors.some(error => error.startsWith('Vertex A: position must be [x, y]')));
+});
+
+test('edges to unknown vertices are errors, duplicated and self edges warnings', () => {
+    const definition = triangle();
+    definition.edges.push(['C', 'D'], ['B', 'A'], ['C', 'C']);
+    const { errors, warnings } = validate(definition);
+    assert.deepEqual(errors, ['Edge C - D: unknown vertex D']);
+    assert.ok(warnings.includes('Edge B - A: duplicated'));
+    assert.ok(warnings.includes('Edge C - C: connects a vertex to itself'));
+});
+
+test('broken limbs are reported', () => {
+    const unknown = {...triangle(), limbs: {Body: ['A', 'B', 'C', '.Tail', 'Arm'], Arm: ['A']}};
+    const { errors } = validate(unknown);
+    assert.ok(errors.includes('Limb Body: unknown limb .Tail'));
+    assert.ok(errors.includes('Limb Body: unknown vertex Arm (use ".Arm" to include a limb)'));
+
+    const cycle = {...triangle(), limbs: {Body: ['A', '.Legs'], Legs: ['B', '.Body'], Tail: ['C']}};
+    assert.ok(validate(cycle).errors.some(error => error.startsWith('Limbs reference each other in a cycle')));
+
+    const unreachable = {...triangle(), limbs: {Body: ['A', 'B']}};
+    assert.deepEqual(validate(unreachable).errors, ['Vertices not reachable from any limb: C']);
+});
+
+test('missing ControlNet colors are warnings', () => {
+    const definition = triangle();
+    delete definition.controlnet.keypoint_colors.C;
+    definition.controlnet.bone_colors.CToA = '#000000';
+    const { errors, warnings } = validate(definition);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, [
+        'controlnet.keypoint_colors misses: C',
+        'controlnet.bone_colors has unknown bones: CToA'
+    ]);
+});
+
+test('registering rejects invalid definitions and reserved format IDs', async () => {
+    const dataAccess = createDataAccess();
+    assert.equal(dataAccess.registerSkeleton(triangle()), 'TRIANGLE');
+    assert.ok(dataAccess.isCustomFormat('TRIANGLE'));
+    assert.equal((await dataAccess.loadSkeletonData('TRIANGLE')).names.length, 3);
+
+    const broken = {...triangle(), format: 'BROKEN', edges: [['A', 'D']]};
+    assert.throws(() => dataAccess.registerSkeleton(broken), /Invalid skeleton BROKEN/);
+    assert.equal(dataAccess.isCustomFormat('BROKEN'), false);
+    for (const format of ['BODY18', 'BODY18COMFYUI', 'IMAGE']) {
+        assert.throws(() => dataAccess.registerSkeleton({...triangle(), format}), /is a built-in format/, format);
+    }
+});
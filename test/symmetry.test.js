@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMirrorMap, getMirrorName, getSpineAxis, mirrorPose, reflectAcross } from '../js/core/symmetry.js';
+import { createDataAccess, loadDefaultPose } from './helpers.js';
+
+const dataAccess = createDataAccess();
+const FORMATS = ['BODY18', 'BODY25', 'COCOWHOLEBODY', 'MEDIAPIPEPOSE', 'MEDIAPIPEHAND', 'AP10K'];
+
+test('mirror maps are involutions within each skeleton', async () => {
+    for (const format of FORMATS) {
+        const { names } = await dataAccess.loadSkeletonData(format);
+        const mirrorMap = getMirrorMap(names);
+        for (const [name, counterpart] of Object.entries(mirrorMap)) {
+            assert.ok(names.includes(counterpart), `${format}: ${counterpart}`);
+            assert.notEqual(counterpart, name, `${format}: ${name}`);
+            assert.equal(mirrorMap[counterpart], name, `${format}: ${name} ↔ ${counterpart}`);
+        }
+    }
+});
+
+test('side prefixes must start a word, and midline keypoints have no counterpart', () => {
+    const names = new Set(['LShoulder', 'RShoulder', 'LHand_3', 'RHand_3', 'Lip', 'Rip', 'LeftEye', 'RightEye', 'Nose']);
+    assert.equal(getMirrorName('LShoulder', names), 'RShoulder');
+    assert.equal(getMirrorName('RHand_3', names), 'LHand_3');
+    assert.equal(getMirrorName('LeftEye', names), 'RightEye');
+    assert.equal(getMirrorName('Lip', names), null);
+    assert.equal(getMirrorName('Nose', names), null);
+});
+
+test('the 70-point face mirrors its contour, eyes and pupils', async () => {
+    const { names } = await dataAccess.loadSkeletonData('BODY18');
+    const mirrorMap = getMirrorMap(names);
+    assert.equal(mirrorMap.Face_0, 'Face_16');
+    assert.equal(mirrorMap.Face_36, 'Face_45');
+    assert.equal(mirrorMap.Face_68, 'Face_69');
+    // Nose bridge and chin are on the midline
+    ['Face_8', 'Face_27', 'Face_30', 'Face_33'].forEach(name => assert.equal(mirrorMap[name], undefined, name));
+});
+
+test('mirroring a pose twice restores it, and keeps the left side labelled left', async () => {
+    const { pose } = await loadDefaultPose(dataAccess, 'BODY18');
+    const original = Object.fromEntries(Object.entries(pose.keypointsDict).map(([name, kp]) => [name, kp.getPosition()]));
+    const center = {x: 10, y: 0};
+
+    mirrorPose(pose, 'horizontal', center);
+    // The keypoint labelled LShoulder takes the mirrored position of RShoulder
+    assert.deepEqual(pose.keypointsDict.LShoulder.getPosition(), {x: 20 - original.RShoulder.x, y: original.RShoulder.y});
+    assert.deepEqual(pose.keypointsDict.Nose.getPosition(), {x: 20 - original.Nose.x, y: original.Nose.y});
+
+    mirrorPose(pose, 'horizontal', center);
+    for (const [name, position] of Object.entries(original)) {
+        assert.deepEqual(pose.keypointsDict[name].getPosition(), position, name);
+    }
+    assert.throws(() => mirrorPose(pose, 'diagonal'), /Unknown flip direction/);
+});
+
+test('the spine axis runs from the neck to the mid-hip, and reflecting across it is an involution', async () => {
+    const { pose } = await loadDefaultPose(dataAccess, 'BODY25');
+    const axis = getSpineAxis(pose);
+    assert.deepEqual(axis.origin, pose.keypointsDict.Neck.getPosition());
+    assert.ok(Math.abs(Math.hypot(axis.direction.x, axis.direction.y) - 1) < 1e-12);
+
+    const point = {x: 37, y: -12};
+    const reflected = reflectAcross(point, axis);
+    const back = reflectAcross(reflected, axis);
+    assert.ok(Math.abs(back.x - point.x) < 1e-9 && Math.abs(back.y - point.y) < 1e-9);
+    // Points on the axis stay
+    assert.deepEqual(reflectAcross(pose.keypointsDict.MidHip.getPosition(), axis), pose.keypointsDict.MidHip.getPosition());
+});
+
+test('poses without a spine mirror across the vertical through their center', () => {
+    const kp = (x, y) => ({getPosition: () => ({x, y})});
+    const axis = getSpineAxis({keypointsDict: {A: kp(0, 0), B: kp(10, 4)}});
+    assert.deepEqual(axis, {origin: {x: 5, y: 2}, direction: {x: 0, y: 1}});
+    assert.deepEqual(reflectAcross({x: 0, y: 7}, axis), {x: 10, y: 7});
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    compose, getBounds, rotation, scaling, transformPoint, transformPositions, translation
+} from '../js/core/transforms.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+        `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+test('compose applies the second transform after the first', () => {
+    const matrix = compose(translation(10, 0), scaling(2));
+    assertClose(transformPoint({x: 1, y: 1}, matrix), {x: 22, y: 2});
+});
+
+test('rotation and scaling keep their origin in place', () => {
+    const origin = {x: 5, y: -3};
+    assertClose(transformPoint(origin, rotation(1.2, origin)), origin);
+    assertClose(transformPoint(origin, scaling(3, -1, origin)), origin);
+    assertClose(transformPoint({x: 6, y: -3}, rotation(Math.PI / 2, origin)), {x: 5, y: -2});
+});
+
+test('transformPositions keeps missing vertices missing', () => {
+    const positions = transformPositions([1, 2, null, null, 3, 4], translation(1, 1));
+    assert.deepEqual(positions, [2, 3, null, null, 4, 5]);
+});
+
+test('getBounds ignores missing vertices and handles empty input', () => {
+    assert.deepEqual(getBounds([1, 5, null, null, 4, -1]), {minX: 1, minY: -1, width: 3, height: 6});
+    assert.deepEqual(getBounds([null, null]), {minX: 0, minY: 0, width: 0, height: 0});
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { crc32 } from '../js/core/crc32.js';
+import { createZip } from '../js/core/zip.js';
+
+/**
+ * Read the stored entries of a zip through its central directory
+ * @param {Uint8Array} zip
+ * @returns {{name: string, data: Uint8Array, crc: number}[]}
+ */
+function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const endOffset = zip.length - 22;
+    assert.equal(view.getUint32(endOffset, true), 0x06054B50);
+    const count = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(offset, true), 0x02014B50);
+        assert.equal(view.getUint16(offset + 10, true), 0, 'stored');
+        const crc = view.getUint32(offset + 16, true);
+        const size = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(zip.subarray(offset + 46, offset + 46 + nameLength));
+
+        assert.equal(view.getUint32(localOffset, true), 0x04034B50);
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        entries.push({name, data: zip.subarray(dataStart, dataStart + size), crc});
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return entries;
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('zip entries round-trip with their names, data and checksums', () => {
+    const image = Uint8Array.from({length: 1000}, (_, i) => (i * 7) % 256);
+    const zip = createZip([
+        {name: 'pose.json', data: '{"people": []}'},
+        {name: 'images/ポーズ.png', data: image},
+        {name: 'empty.txt', data: ''}
+    ], {date: new Date(2024, 4, 17, 12, 30, 10)});
+
+    const entries = readZip(zip);
+    assert.deepEqual(entries.map(entry => entry.name), ['pose.json', 'images/ポーズ.png', 'empty.txt']);
+    assert.equal(new TextDecoder().decode(entries[0].data), '{"people": []}');
+    assert.deepEqual(entries[1].data, image);
+    assert.equal(entries[2].data.length, 0);
+    entries.forEach(entry => assert.equal(entry.crc, crc32(entry.data), entry.name));
+});
+
+test('an empty zip is only the end of central directory record', () => {
+    const zip = createZip([]);
+    assert.equal(zip.length, 22);
+    assert.deepEqual(readZip(zip), []);
+});